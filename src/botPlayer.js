@@ -0,0 +1,155 @@
+/**
+ * Color Clash – Bot Strategies
+ * Pure move selection for server-driven seats. Nothing here mutates the game;
+ * gameActions carries out whatever the bot decides.
+ */
+
+const {
+    isValidPlay,
+    topCard,
+    nextPlayerIndex,
+    COLORS,
+    isWild,
+    CARD_TYPES,
+    inClashGrace,
+    isOut,
+} = require('./gameEngine');
+
+const BOT_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+/** True for cards that hurt the next player: any that make them draw or skip them */
+function isAttack(card) {
+    const def = CARD_TYPES[card.type];
+    return !!(def?.drawAmount || def?.attack);
+}
+
+/** How many cards of each color are in a hand */
+function colorCounts(hand) {
+    const counts = Object.fromEntries(COLORS.map((c) => [c, 0]));
+    for (const card of hand) {
+        if (card.color in counts) counts[card.color]++;
+    }
+    return counts;
+}
+
+/** The color the hand holds most of (ties go to COLORS order) */
+function strongestColor(hand) {
+    const counts = colorCounts(hand);
+    return COLORS.reduce((best, c) => (counts[c] > counts[best] ? c : best), COLORS[0]);
+}
+
+function randomItem(items, rng) {
+    return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Hard bots score every playable card: stay in the color they hold most of,
+ * save wilds for when nothing else fits, and hit the next player with action
+ * cards once they are close to going out.
+ */
+function scoreCandidate(game, player, card) {
+    const counts = colorCounts(player.hand);
+    const next = game.players[nextPlayerIndex(game)];
+    let score = counts[card.color] || 0;
+
+    if (isWild(card)) score -= player.hand.length > 2 ? 10 : 0;
+    if (isAttack(card) && next && next.hand.length <= 3) {
+        score += (4 - next.hand.length) * 4;
+    }
+    if (card.type === 'number') score += card.value / 10; // shed high numbers first
+    return score;
+}
+
+/** Who a 7 should swap with under Seven-O: the shortest other hand (not a partner's) */
+function chooseSwapTarget(game, playerIndex, difficulty, rng) {
+    const me = game.players[playerIndex];
+    const seated = game.players.filter((p, i) => i !== playerIndex && !isOut(game, p));
+    const opponents = seated.filter((p) => !(game.rules?.teamMode && p.team === me.team));
+    const others = opponents.length ? opponents : seated;
+    if (difficulty === 'easy') return randomItem(others, rng).id;
+    return others.reduce((best, p) => (p.hand.length < best.hand.length ? p : best)).id;
+}
+
+/**
+ * Decide the bot's move for its turn.
+ * @returns {{ action: 'play', cardIndex: number, chosenColor?: string, swapTargetId?: string }
+ *   | { action: 'draw' } | { action: 'challenge' }}
+ */
+function chooseMove(game, playerIndex, difficulty, rng = Math.random) {
+    const player = game.players[playerIndex];
+
+    if (game.pendingChallenge) {
+        return shouldChallenge(game, difficulty, rng) ? { action: 'challenge' } : { action: 'draw' };
+    }
+
+    const top = topCard(game);
+    const playable = player.hand
+        .map((card, cardIndex) => ({ card, cardIndex }))
+        .filter(({ card }) => isValidPlay(card, top, game.currentColor, game.pendingDraw));
+    if (playable.length === 0) return { action: 'draw' };
+
+    let pick;
+    if (difficulty === 'easy') {
+        pick = randomItem(playable, rng);
+    } else if (difficulty === 'hard') {
+        pick = playable.reduce((best, c) =>
+            (scoreCandidate(game, player, c.card) > scoreCandidate(game, player, best.card) ? c : best));
+    } else {
+        // Normal: anything but a wild, if possible
+        pick = playable.find(({ card }) => !isWild(card)) || playable[0];
+    }
+
+    const move = { action: 'play', cardIndex: pick.cardIndex };
+    if (isWild(pick.card)) {
+        const rest = player.hand.filter((_, i) => i !== pick.cardIndex);
+        move.chosenColor = difficulty === 'easy' ? randomItem(COLORS, rng) : strongestColor(rest);
+    }
+    if (game.rules?.sevenO && pick.card.type === 'number' && pick.card.value === 7) {
+        move.swapTargetId = chooseSwapTarget(game, playerIndex, difficulty, rng);
+    }
+    return move;
+}
+
+/**
+ * Whether to challenge an open Draw Four. Bots only see public card counts:
+ * hard bots figure a big hand probably held the old color.
+ */
+function shouldChallenge(game, difficulty, rng = Math.random) {
+    if (difficulty === 'easy') return false;
+    if (difficulty === 'normal') return rng() < 0.25;
+    const bluffer = game.players[game.pendingChallenge.playerIndex];
+    return bluffer.hand.length >= 5;
+}
+
+/** Whether the bot remembers to call Color Clash on its last card */
+function shouldCallClash(difficulty, rng = Math.random) {
+    if (difficulty === 'easy') return rng() < 0.5;
+    if (difficulty === 'normal') return rng() < 0.9;
+    return true;
+}
+
+/**
+ * Pick an opponent to accuse of not calling Color Clash, or null.
+ * Only players whose grace period has run out are fair game.
+ */
+function pickAccusation(game, playerIndex, difficulty, rng = Math.random, now = Date.now()) {
+    if (difficulty === 'easy') return null;
+    const me = game.players[playerIndex];
+    const target = game.players.find((p, i) =>
+        i !== playerIndex &&
+        !(game.rules?.teamMode && p.team === me.team) &&
+        p.hand.length === 1 &&
+        !p.clashSafe &&
+        !inClashGrace(game, p, now));
+    if (!target) return null;
+    if (difficulty === 'normal' && rng() >= 0.5) return null;
+    return target.id;
+}
+
+module.exports = {
+    chooseMove,
+    shouldChallenge,
+    shouldCallClash,
+    pickAccusation,
+    BOT_DIFFICULTIES,
+};
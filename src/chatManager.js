@@ -0,0 +1,110 @@
+/**
+ * Color Clash – Chat
+ * Room chat history, the word filter and mutes. Works on room objects only;
+ * callers persist the room and deliver the messages.
+ *
+ * Two kinds of mute: the host can mute a player for the whole room
+ * (`room.chatMuted`), and any player can hide someone's messages and emoji
+ * from themselves (`player.ignoredIds`).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const CHAT_HISTORY_LIMIT = 100;
+const MAX_MESSAGE_LENGTH = 200;
+// Team mode: the only things partners can tell each other (chat:teamSignal)
+const TEAM_SIGNALS = ['red', 'blue', 'green', 'yellow', 'help', 'holding', 'nearly out'];
+
+// Words masked out of chat, from a comma-separated env list (see setBlockedWords)
+let blockedPattern = null;
+setBlockedWords((process.env.CHAT_BLOCKED_WORDS || '').split(','));
+
+/** Replace the word filter's list. Matching is whole-word and case-insensitive. */
+function setBlockedWords(words) {
+    const escaped = words
+        .map((w) => w.trim())
+        .filter(Boolean)
+        .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    blockedPattern = escaped.length ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+}
+
+/** `text` with every blocked word masked by asterisks */
+function filterText(text) {
+    return blockedPattern ? text.replace(blockedPattern, (word) => '*'.repeat(word.length)) : text;
+}
+
+function pushMessage(room, msg) {
+    room.chat.push(msg);
+    if (room.chat.length > CHAT_HISTORY_LIMIT) room.chat.shift();
+    return msg;
+}
+
+/** Post `text` from `player`; refused while the host has them muted. */
+function postMessage(room, player, text) {
+    if (isChatMuted(room, player.id)) return { error: 'The host has muted you.' };
+    const msg = pushMessage(room, {
+        id: uuidv4(),
+        playerId: player.id,
+        nickname: player.nickname,
+        text: filterText(text.slice(0, MAX_MESSAGE_LENGTH)),
+        ts: Date.now(),
+    });
+    return { msg };
+}
+
+/** Post a system line (joins, leaves, kicks) into the history */
+function postSystemMessage(room, text) {
+    return pushMessage(room, { id: uuidv4(), system: true, text, ts: Date.now() });
+}
+
+/** Chat history as `viewer` sees it (everyone's, minus players they ignore) */
+function historyFor(room, viewer) {
+    const ignored = viewer?.ignoredIds || [];
+    return room.chat.filter((msg) => !ignored.includes(msg.playerId));
+}
+
+/** True if the host has muted `playerId` in `room` */
+function isChatMuted(room, playerId) {
+    return (room.chatMuted || []).includes(playerId);
+}
+
+/** Host mutes or unmutes a player for the whole room. */
+function setChatMuted(room, playerId, muted) {
+    const others = (room.chatMuted || []).filter((id) => id !== playerId);
+    room.chatMuted = muted ? [...others, playerId] : others;
+}
+
+/** `player` hides (or un-hides) `targetId`'s messages and emoji from themselves. */
+function setIgnored(player, targetId, ignored) {
+    const others = (player.ignoredIds || []).filter((id) => id !== targetId);
+    player.ignoredIds = ignored ? [...others, targetId] : others;
+}
+
+/** Socket ids of `player`'s teammates, for team-only signals */
+function teammateSockets(room, player) {
+    return room.players
+        .filter((p) => p !== player && p.team === player.team && p.socketId)
+        .map((p) => p.socketId);
+}
+
+/** Socket ids in `room` that have hidden `senderId` and shouldn't get their chat */
+function socketsIgnoring(room, senderId) {
+    return room.players
+        .filter((p) => p.socketId && (p.ignoredIds || []).includes(senderId))
+        .map((p) => p.socketId);
+}
+
+module.exports = {
+    postMessage,
+    postSystemMessage,
+    historyFor,
+    isChatMuted,
+    setChatMuted,
+    setIgnored,
+    socketsIgnoring,
+    teammateSockets,
+    setBlockedWords,
+    filterText,
+    CHAT_HISTORY_LIMIT,
+    TEAM_SIGNALS,
+};
@@ -0,0 +1,172 @@
+/**
+ * Color Clash – Socket Event Schemas
+ * The payload contract of every client → server event, and the wrapper that
+ * enforces it. Handlers only ever see payloads that match their schema, with
+ * undeclared keys dropped. Malformed payloads are answered with
+ * { ok: false, code: 'INVALID_PAYLOAD', error }; a missing ack is tolerated.
+ */
+
+const { COLORS } = require('./gameEngine');
+const { BOT_DIFFICULTIES } = require('./botPlayer');
+const { MATCH_VARIANTS } = require('./matchmaker');
+const { MAX_PLAYERS, MAX_TEAMS } = require('./roomManager');
+const { TEAM_SIGNALS } = require('./chatManager');
+const { TOURNAMENT_FORMATS } = require('./tournamentManager');
+
+// ── Field rules ─────────────────────────────────────────────────────────────
+// { type: 'string' | 'integer' | 'boolean' | 'object' | 'enum', optional?,
+//   max? (string length / integer value), min? (integer), values? (enum) }
+const ROOM_CODE = { type: 'string', max: 12 };
+const NICKNAME = { type: 'string', max: 40, optional: true };
+const PLAYER_ID = { type: 'string', max: 64 };
+const VERSION = { type: 'integer', min: 0 }; // state version the client last saw
+const VISIBILITY = { type: 'enum', values: ['private', 'public'], optional: true };
+const PASSWORD = { type: 'string', max: 64, optional: true };
+const TOURNAMENT_ID = { type: 'string', max: 16 };
+const SESSION_TOKEN = { type: 'string', max: 64 };
+
+const EVENT_SCHEMAS = {
+    // token: from an earlier sign-in; left out (or unknown) gets a new profile
+    'profile:signIn': { token: { type: 'string', max: 64, optional: true }, nickname: NICKNAME },
+
+    'room:create': { nickname: NICKNAME, visibility: VISIBILITY, password: PASSWORD },
+    'room:join': { roomCode: ROOM_CODE, nickname: NICKNAME, password: PASSWORD },
+    'room:spectate': { roomCode: ROOM_CODE, nickname: NICKNAME, password: PASSWORD },
+    'room:reconnect': {
+        roomCode: ROOM_CODE,
+        token: { type: 'string', max: 64, optional: true },
+        nickname: NICKNAME,
+    },
+    'room:kick': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+    'room:addBot': { roomCode: ROOM_CODE, difficulty: { type: 'enum', values: BOT_DIFFICULTIES, optional: true } },
+    'room:setRules': { roomCode: ROOM_CODE, rules: { type: 'object' } },
+    'room:updateSettings': { roomCode: ROOM_CODE, settings: { type: 'object' } },
+    'room:setVisibility': { roomCode: ROOM_CODE, visibility: VISIBILITY, password: PASSWORD },
+    'room:leave': { roomCode: ROOM_CODE },
+    'room:transferHost': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+    'room:setTeam': {
+        roomCode: ROOM_CODE,
+        targetPlayerId: PLAYER_ID,
+        team: { type: 'integer', min: 1, max: MAX_TEAMS, optional: true }, // left out: no team
+    },
+
+    'lobby:subscribe': { pageSize: { type: 'integer', min: 1, max: 50, optional: true } },
+    'lobby:unsubscribe': {},
+
+    'match:queue': {
+        nickname: NICKNAME,
+        players: { type: 'integer', min: 2, max: MAX_PLAYERS, optional: true },
+        variant: { type: 'enum', values: Object.keys(MATCH_VARIANTS), optional: true },
+        allowBots: { type: 'boolean', optional: true },
+    },
+    'match:leave': {},
+
+    'tournament:create': {
+        name: { type: 'string', max: 60, optional: true },
+        format: { type: 'enum', values: TOURNAMENT_FORMATS, optional: true },
+        tableSize: { type: 'integer', min: 2, max: MAX_PLAYERS, optional: true },
+        rounds: { type: 'integer', min: 1, max: 10, optional: true }, // swiss
+        advance: { type: 'integer', min: 1, max: MAX_PLAYERS - 1, optional: true }, // elimination: per table
+        variant: { type: 'enum', values: Object.keys(MATCH_VARIANTS), optional: true },
+    },
+    'tournament:register': { tournamentId: TOURNAMENT_ID, nickname: NICKNAME },
+    'tournament:unregister': { tournamentId: TOURNAMENT_ID, token: SESSION_TOKEN },
+    'tournament:reconnect': { tournamentId: TOURNAMENT_ID, token: SESSION_TOKEN },
+    'tournament:watch': { tournamentId: TOURNAMENT_ID },
+    'tournament:unwatch': { tournamentId: TOURNAMENT_ID },
+    'tournament:start': { tournamentId: TOURNAMENT_ID, token: SESSION_TOKEN }, // the organizer's
+
+    'game:start': { roomCode: ROOM_CODE },
+    'game:playCard': {
+        roomCode: ROOM_CODE,
+        cardId: { type: 'integer', min: 0 },
+        chosenColor: { type: 'enum', values: COLORS, optional: true },
+        swapTargetId: { ...PLAYER_ID, optional: true },
+        version: VERSION,
+    },
+    'game:drawCard': { roomCode: ROOM_CODE, version: VERSION },
+    'game:challengeDrawFour': { roomCode: ROOM_CODE, version: VERSION },
+    'game:callClash': { roomCode: ROOM_CODE, version: VERSION },
+    'game:accuseClash': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID, version: VERSION },
+    'game:reclaimSeat': { roomCode: ROOM_CODE },
+    'game:rematch': { roomCode: ROOM_CODE },
+
+    'chat:message': { roomCode: ROOM_CODE, text: { type: 'string', max: 1000 } },
+    'chat:emoji': { roomCode: ROOM_CODE, emoji: { type: 'string', max: 16 } },
+    'chat:teamSignal': { roomCode: ROOM_CODE, signal: { type: 'enum', values: TEAM_SIGNALS } },
+    'chat:mute': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+    'chat:unmute': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+    'chat:ignore': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+    'chat:unignore': { roomCode: ROOM_CODE, targetPlayerId: PLAYER_ID },
+};
+
+/** Problem with one field's value, or null if it passes */
+function checkField(name, rule, value) {
+    if (value === undefined || value === null)
+        return rule.optional ? null : `${name} is required.`;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string.`;
+            if (rule.max !== undefined && value.length > rule.max)
+                return `${name} must be at most ${rule.max} characters.`;
+            return null;
+        case 'integer':
+            if (!Number.isInteger(value)) return `${name} must be an integer.`;
+            if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}.`;
+            if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}.`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be true or false.`;
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value) ? null : `${name} must be an object.`;
+        case 'enum':
+            return rule.values.includes(value) ? null : `${name} must be one of: ${rule.values.join(', ')}.`;
+        default:
+            throw new Error(`Unknown schema type "${rule.type}" for ${name}.`);
+    }
+}
+
+/**
+ * Check `payload` against `schema`.
+ * @returns {{ value: object } | { error: string }} value holds only declared keys
+ */
+function validatePayload(schema, payload) {
+    if (payload === undefined || payload === null) payload = {};
+    if (typeof payload !== 'object' || Array.isArray(payload))
+        return { error: 'Payload must be an object.' };
+
+    const value = {};
+    for (const [name, rule] of Object.entries(schema)) {
+        const error = checkField(name, rule, payload[name]);
+        if (error) return { error };
+        if (payload[name] !== undefined && payload[name] !== null) value[name] = payload[name];
+    }
+    return { value };
+}
+
+/**
+ * Wrap `handler(payload, ack)` for `socket.on(event, …)`: validate the
+ * payload against the event's schema, always hand over a callable ack, and
+ * turn anything the handler throws into an error ack.
+ */
+function withSchema(event, handler) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) throw new Error(`No schema declared for socket event "${event}".`);
+
+    return (payload, callback) => {
+        // socket.emit(event, ack) with no payload puts the ack first
+        if (typeof payload === 'function') [payload, callback] = [undefined, payload];
+        const ack = typeof callback === 'function' ? callback : () => {};
+
+        const { value, error } = validatePayload(schema, payload);
+        if (error) return ack({ ok: false, code: 'INVALID_PAYLOAD', error });
+        try {
+            handler(value, ack);
+        } catch (err) {
+            ack({ ok: false, code: 'SERVER_ERROR', error: err.message });
+        }
+    };
+}
+
+module.exports = { EVENT_SCHEMAS, validatePayload, withSchema };
@@ -0,0 +1,648 @@
+/**
+ * Color Clash – Game Actions
+ * Turn timers, broadcasts and the in-game moves. Socket handlers and
+ * server-driven seats (bots) both go through these, so every move is
+ * validated and announced the same way. Each action returns the payload
+ * for the client's acknowledgement callback. Actors and targets are public
+ * player ids; private messages go to the player's current socket.
+ *
+ * Every move carries the state `version` the client last saw. Anything
+ * that arrives after the game has moved on is rejected as STALE_STATE,
+ * so a double-click or a laggy client can't act on a hand it never saw.
+ */
+
+const {
+    isValidPlay,
+    canJumpIn,
+    resolveDrawFourChallenge,
+    recordAction,
+    playFromHand,
+    takeDrawTurn,
+    timeoutTurn,
+    removePlayer,
+    callClashFor,
+    penalizeClash,
+    settleWin,
+    startNextRound,
+    publicGameState,
+    topCard,
+    isOut,
+    teamStandings,
+    COLORS,
+    isWild,
+    cardEvent,
+    inClashGrace,
+} = require('./gameEngine');
+
+const {
+    isSpectator,
+    spectatorChannel,
+    persistRoom,
+    deleteRoom,
+    reassignHost,
+    sanitizeRoomPublic,
+} = require('./roomManager');
+const { saveReplay } = require('./replayStore');
+const { postSystemMessage } = require('./chatManager');
+const { recordGame } = require('./profileStore');
+
+const {
+    chooseMove,
+    shouldCallClash,
+    pickAccusation,
+} = require('./botPlayer');
+
+const BOT_THINK_MS = 1200;     // pause before a bot moves, so humans can follow
+// Strategy a bot uses when it takes over a vacated seat
+const TAKEOVER_DIFFICULTY = 'normal';
+const turnTimers = new Map(); // roomCode → timeout handle
+const gameEndedListeners = []; // see onGameEnded
+
+function clearTurnTimer(roomCode) {
+    if (turnTimers.has(roomCode)) {
+        clearTimeout(turnTimers.get(roomCode));
+        turnTimers.delete(roomCode);
+    }
+}
+
+function startTurnTimer(io, room) {
+    clearTurnTimer(room.code);
+
+    // Bot seats (and seats a bot has taken over) move on their own
+    const current = room.game.players[room.game.currentPlayerIndex];
+    if (current?.botDifficulty) {
+        turnTimers.set(room.code, setTimeout(() => runBotTurn(io, room), BOT_THINK_MS));
+        return;
+    }
+
+    // Players marked AFK get a shorter clock (never a longer one)
+    const { afkTurnSec, turnTimeoutSec, afkTimeouts } = room.settings;
+    const handle = setTimeout(() => {
+        // Auto-draw for the current player if time expires
+        const game = room.game;
+        if (!game || game.phase !== 'game') return;
+        const player = game.players[game.currentPlayerIndex];
+        // Offline players are skipped; everyone else auto-draws. A waiting
+        // Draw Four or stacked penalty lands on them either way.
+        const skip = !player || !player.isConnected;
+
+        // Connected but not playing: AFK after a few misses, then the seat goes
+        if (!skip) {
+            player.missedTurns = (player.missedTurns || 0) + 1;
+            if (player.missedTurns > afkTimeouts) return vacateSeat(io, room, player);
+            if (player.missedTurns === afkTimeouts) {
+                player.isAfk = true;
+                emitEvent(io, room, 'afk', { nickname: player.nickname });
+            }
+        }
+
+        recordAction(game, { type: 'timeout', player: game.currentPlayerIndex, skip });
+        bumpVersion(game);
+        announceDraw(io, room, player, timeoutTurn(game, skip));
+        game.turnStartedAt = Date.now();
+        broadcastGameState(io, room);
+        startTurnTimer(io, room);
+    }, (current?.isAfk ? Math.min(afkTurnSec, turnTimeoutSec) : turnTimeoutSec) * 1000);
+    turnTimers.set(room.code, handle);
+}
+
+/**
+ * The game changed: moves made against the version before this are now
+ * stale. Only moves and removals change it — a broadcast alone (someone
+ * dropping or rejoining, say) doesn't.
+ */
+function bumpVersion(game) {
+    game.version += 1;
+}
+
+function broadcastGameState(io, room) {
+    // Every change to a game ends in a broadcast, so snapshot it here
+    persistRoom(room);
+    const state = publicGameState(room.game);
+    io.to(room.code).emit('game:state', state);
+    // Send private hands
+    for (const player of room.game.players) {
+        if (player.socketId) io.to(player.socketId).emit('game:yourHand', player.hand);
+    }
+    if (room.game.rules?.teamMode && room.game.rules.teamSeeColors) sendPartnerColors(io, room.game);
+
+    // Spectators may see every hand, but only after a delay so they can't
+    // feed live information to someone at the table
+    const rules = room.game.rules;
+    if (rules?.spectatorsSeeHands && room.spectators.length > 0) {
+        const hands = room.game.players.map((p) => ({ id: p.id, nickname: p.nickname, hand: [...p.hand] }));
+        const ts = Date.now();
+        setTimeout(() => {
+            io.to(spectatorChannel(room.code)).emit('game:allHands', { ts, hands });
+        }, rules.spectatorDelaySec * 1000);
+    }
+}
+
+/** Team mode: every player learns how many cards of each color their partners hold */
+function sendPartnerColors(io, game) {
+    for (const player of game.players) {
+        if (!player.socketId) continue;
+        const partners = game.players
+            .filter((p) => p !== player && p.team === player.team)
+            .map((p) => ({
+                id: p.id,
+                colors: Object.fromEntries(['wild', ...COLORS].map((color) =>
+                    [color, p.hand.filter((c) => c.color === color).length])),
+            }));
+        io.to(player.socketId).emit('game:partnerColors', partners);
+    }
+}
+
+/** Activity-feed event for whatever a draw (or timeout) turned out to be */
+function announceDraw(io, room, player, result) {
+    if (result.kind === 'drawFour') {
+        emitEvent(io, room, 'draw_penalty', {
+            by: room.game.players[result.playerIndex].nickname,
+            target: player.nickname,
+            count: result.count,
+        });
+    } else if (result.kind === 'penalty') {
+        emitEvent(io, room, 'penalty_drawn', { by: player.nickname, count: result.count });
+    } else if (result.kind === 'draw') {
+        emitEvent(io, room, 'draw', { by: player.nickname, canPlay: result.canPlay });
+    }
+}
+
+/** Emit a real-time game event for the activity feed / toast overlays */
+function emitEvent(io, room, type, payload) {
+    io.to(room.code).emit('game:event', { type, ts: Date.now(), ...payload });
+}
+
+/** Same as emitEvent, but `recipient` also gets `privatePayload` merged in */
+function emitEventWithPrivate(io, room, recipient, type, payload, privatePayload) {
+    if (!recipient.socketId) return emitEvent(io, room, type, payload);
+    const event = { type, ts: Date.now(), ...payload };
+    io.to(room.code).except(recipient.socketId).emit('game:event', event);
+    io.to(recipient.socketId).emit('game:event', { ...event, ...privatePayload });
+}
+
+/**
+ * A player emptied their hand. In points mode the round is scored and, unless
+ * someone reached the target, the next round is dealt straight away.
+ */
+function handleRoundWin(io, room, winner) {
+    const game = room.game;
+    const { over, round } = settleWin(game, game.players.indexOf(winner));
+    if (!over) {
+        io.to(room.code).emit('game:roundEnded', {
+            ...round,
+            scores: game.players.map((p) => ({ id: p.id, nickname: p.nickname, score: p.score })),
+        });
+        startNextRound(game);
+        game.turnStartedAt = Date.now();
+        broadcastGameState(io, room);
+        startTurnTimer(io, room);
+        return;
+    }
+    endGame(io, room, winner);
+}
+
+/** Move the room to results, save the replay and announce final rankings. */
+function endGame(io, room, winner) {
+    const game = room.game;
+    room.phase = 'results';
+    clearTurnTimer(room.code);
+    broadcastGameState(io, room);
+    const replayId = saveReplay(room);
+
+    let rankings;
+    let teams = null;
+    if (game.rules?.teamMode) {
+        // The winning team first, the rest by cards still held between them;
+        // players share their team's rank
+        const winningTeam = game.winningTeam ?? winner.team;
+        const standings = teamStandings(game);
+        teams = [
+            ...standings.filter((t) => t.team === winningTeam),
+            ...standings.filter((t) => t.team !== winningTeam),
+        ].map((t, i) => ({ rank: i + 1, ...t }));
+        const rankOf = (p) => teams.find((t) => t.team === p.team).rank;
+        rankings = [...game.players]
+            .sort((a, b) => rankOf(a) - rankOf(b) || a.hand.length - b.hand.length)
+            .map((p) => ({
+                rank: rankOf(p), id: p.id, nickname: p.nickname, cardCount: p.hand.length, team: p.team,
+            }));
+    } else if (game.rules?.pointsMode) {
+        // Match over: everyone ranked by cumulative score (desc)
+        rankings = [...game.players]
+            .sort((a, b) => b.score - a.score)
+            .map((p, i) => ({
+                rank: i + 1, id: p.id, nickname: p.nickname, cardCount: p.hand.length, score: p.score,
+            }));
+    } else {
+        // Build rankings: winner = rank 1, others by cards held (asc = better)
+        const losers = game.players
+            .filter((p) => p.id !== winner.id)
+            .sort((a, b) => a.hand.length - b.hand.length);
+        rankings = [
+            { rank: 1, id: winner.id, nickname: winner.nickname, cardCount: 0 },
+            ...losers.map((p, i) => ({
+                rank: i + 2, id: p.id, nickname: p.nickname, cardCount: p.hand.length,
+            })),
+        ];
+    }
+
+    const placements = placementsOf(game, rankings);
+    recordProfiles(placements);
+
+    // Reveal the shuffle seed so players can check it against seedHash
+    io.to(room.code).emit('game:ended', {
+        winner: winner.nickname, rankings, teams, replayId, seed: game.seed, seedHash: game.seedHash,
+    });
+    if (game.rules?.pointsMode) {
+        io.to(room.code).emit('game:matchEnded', {
+            winner: winner.nickname,
+            targetScore: game.rules.targetScore,
+            rankings,
+            rounds: game.rounds,
+        });
+    }
+    gameEndedListeners.forEach((listener) => listener(io, room, placements));
+}
+
+/**
+ * Where everyone who played `game` finished: the rankings, then anyone who
+ * left or was removed before the end (`left`), the first to go last.
+ * @returns {Array<{ player: object, rank: number, left: boolean }>}
+ */
+function placementsOf(game, rankings) {
+    const departed = game.departed || [];
+    return [
+        ...rankings.map((r) => ({ player: game.players.find((p) => p.id === r.id), rank: r.rank, left: false })),
+        ...departed.map((player, i) => ({ player, rank: rankings.length + departed.length - i, left: true })),
+    ];
+}
+
+/** Add the game to the profiles of everyone who played it signed in. */
+function recordProfiles(placements) {
+    recordGame(placements
+        .filter(({ player }) => player.profileId)
+        .map(({ rank, player }) => ({ profileId: player.profileId, rank, ...player.tally })));
+}
+
+/** Call `listener(io, room, placements)` whenever a game ends (see placementsOf). */
+function onGameEnded(listener) {
+    gameEndedListeners.push(listener);
+}
+
+// ── Absent players ──────────────────────────────────────────────────────────
+
+/** `player` acted themselves, so they aren't AFK (a bot on their seat doesn't count). */
+function noteActive(player) {
+    if (player.botDifficulty) return;
+    player.missedTurns = 0;
+    player.isAfk = false;
+}
+
+/**
+ * Nobody is playing `player`'s seat any more: their grace period ran out or
+ * they stayed AFK. The room's `afkAction` setting decides whether a bot
+ * plays it until they reclaim it, or they're removed from the game.
+ */
+function vacateSeat(io, room, player) {
+    const game = room.game;
+    if (!game || game.phase !== 'game' || !game.players.includes(player)) return;
+    if (room.settings.afkAction === 'remove') return removeFromGame(io, room, player, 'afk');
+
+    player.botDifficulty = TAKEOVER_DIFFICULTY;
+    if (closeIfOnlyBots(room)) return;
+    reassignHost(room);
+    io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+    emitEvent(io, room, 'bot_takeover', { nickname: player.nickname });
+    // If it's their turn, the bot should move now rather than wait it out
+    const theirTurn = game.players[game.currentPlayerIndex] === player;
+    if (theirTurn) game.turnStartedAt = Date.now();
+    broadcastGameState(io, room);
+    if (theirTurn) startTurnTimer(io, room);
+}
+
+/**
+ * Take `player` out of the game for good: they `'left'` (room:leave) or were
+ * removed as `'afk'`. Their cards go back in the draw pile and the turn
+ * passes on if it was theirs; the last one left wins. Chat gets a system
+ * line, as for leaving the lobby.
+ */
+function removeFromGame(io, room, player, reason) {
+    const game = room.game;
+    const index = game.players.indexOf(player);
+    const theirTurn = index === game.currentPlayerIndex;
+    recordAction(game, {
+        type: 'remove',
+        player: index,
+        seat: { id: player.id, nickname: player.nickname, isBot: !!player.isBot, team: player.team ?? null },
+    });
+    bumpVersion(game);
+    const { over } = removePlayer(game, index);
+    game.departed = [...(game.departed || []), player];
+    reassignHost(room);
+    if (reason === 'afk' && player.socketId) io.to(player.socketId).emit('game:removed', { reason });
+    if (closeIfOnlyBots(room)) return;
+
+    emitEvent(io, room, reason === 'left' ? 'player_left' : 'player_removed', { nickname: player.nickname });
+    io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+    const text = reason === 'left' ? `${player.nickname} left.` : `${player.nickname} was removed for being away.`;
+    io.to(room.code).emit('chat:message', postSystemMessage(room, text));
+    if (over) return endGame(io, room, game.players[0]);
+    if (theirTurn) game.turnStartedAt = Date.now();
+    broadcastGameState(io, room);
+    if (theirTurn) startTurnTimer(io, room);
+}
+
+/** Nobody left to play against: stop the bots and drop the room. */
+function closeIfOnlyBots(room) {
+    if (room.players.some((p) => !p.botDifficulty)) return false;
+    clearTurnTimer(room.code);
+    deleteRoom(room.code);
+    return true;
+}
+
+/** A player back at the keyboard takes their seat back from the autopilot. */
+function reclaimSeat(io, room, actorId) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    const game = room.game;
+    const player = game.players.find((p) => p.id === actorId);
+    if (!player || player.isBot) return { ok: false, error: 'Not in game.' };
+    if (!player.botDifficulty) return { ok: false, error: 'Your seat is not on autopilot.' };
+
+    player.botDifficulty = null;
+    noteActive(player);
+    emitEvent(io, room, 'seat_reclaimed', { nickname: player.nickname });
+    io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+    const theirTurn = game.players[game.currentPlayerIndex] === player;
+    if (theirTurn) game.turnStartedAt = Date.now();
+    broadcastGameState(io, room);
+    if (theirTurn) startTurnTimer(io, room);
+    return { ok: true };
+}
+
+// ── Moves ───────────────────────────────────────────────────────────────────
+
+const SPECTATOR_ERROR = { ok: false, error: 'Spectators cannot play.' };
+
+/** Rejection for a move made against an older `version` of the game */
+function staleError(game) {
+    return {
+        ok: false,
+        code: 'STALE_STATE',
+        error: 'The game moved on before your move arrived. Try again.',
+        version: game.version,
+    };
+}
+
+/**
+ * Play the card `cardId` from `actorId`'s hand (in turn, or out of turn as a
+ * jump-in). Two jump-ins racing for the same card: the first one handled
+ * bumps the version, so the other arrives stale and loses.
+ */
+function playCard(io, room, actorId, { cardId, chosenColor, swapTargetId, version }) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    if (isSpectator(room, actorId)) return SPECTATOR_ERROR;
+
+    const game = room.game;
+    if (version !== game.version) return staleError(game);
+    let playerIndex = game.currentPlayerIndex;
+
+    // Validate turn ownership — out of turn only as a jump-in
+    let jumpedIn = false;
+    if (game.players[playerIndex].id !== actorId) {
+        const jumperIdx = game.players.findIndex((p) => p.id === actorId);
+        const jumpCard = game.players[jumperIdx]?.hand.find((c) => c.id === cardId);
+        if (!jumpCard || !canJumpIn(game, jumpCard))
+            return { ok: false, error: 'Not your turn.' };
+        playerIndex = jumperIdx;
+        jumpedIn = true;
+    }
+    const currentPlayer = game.players[playerIndex];
+
+    if (game.pendingChallenge)
+        return { ok: false, error: 'Challenge the Draw Four or draw 4 first.' };
+
+    // Validate card
+    const cardIndex = currentPlayer.hand.findIndex((c) => c.id === cardId);
+    const card = currentPlayer.hand[cardIndex];
+    if (!card) return { ok: false, error: 'Invalid card.' };
+
+    // Validate card play
+    const top = topCard(game);
+    if (!isValidPlay(card, top, game.currentColor, game.pendingDraw))
+        return {
+            ok: false,
+            error: game.pendingDraw > 0
+                ? `Stack a draw card or draw ${game.pendingDraw}.`
+                : 'Invalid move.',
+        };
+
+    // Validate chosen color for wild
+    if (isWild(card) && !chosenColor)
+        return { ok: false, error: 'Must choose a color for wild card.' };
+
+    // Seven-O: a 7 needs someone to swap with (unless it's the winning card)
+    const sevenO = game.rules?.sevenO && card.type === 'number';
+    const swapTargetIndex = game.players.findIndex((p) => p.id === swapTargetId);
+    if (sevenO && card.value === 7 && currentPlayer.hand.length > 1 &&
+        (swapTargetIndex === -1 || swapTargetIndex === playerIndex))
+        return { ok: false, error: 'Choose a player to swap hands with.' };
+    if (sevenO && card.value === 7 && swapTargetIndex !== -1 && isOut(game, game.players[swapTargetIndex]))
+        return { ok: false, error: 'That player is already out.' };
+
+    // Who the card hits, and any stack it adds to, as of before it lands
+    const n = game.players.length;
+    const nextPlayer = game.players[((playerIndex + game.direction) % n + n) % n];
+    const stackedBefore = game.pendingDraw;
+
+    noteActive(currentPlayer);
+    recordAction(game, {
+        type: 'play', player: playerIndex, cardIndex, chosenColor, swapTarget: swapTargetIndex, jumpIn: jumpedIn,
+    });
+    bumpVersion(game);
+    const { won, effect } = playFromHand(game, playerIndex, cardIndex, chosenColor, swapTargetIndex);
+
+    // Emit event for activity feed
+    if (jumpedIn) emitEvent(io, room, 'jump_in', { by: currentPlayer.nickname });
+    emitEvent(io, room, ...cardEvent(game, card, {
+        by: currentPlayer.nickname, target: nextPlayer?.nickname, chosenColor, stackedBefore, effect,
+    }));
+
+    if (won) {
+        handleRoundWin(io, room, currentPlayer);
+        return { ok: true };
+    }
+
+    if (sevenO && card.value === 7) {
+        emitEvent(io, room, 'hand_swap', {
+            by: currentPlayer.nickname,
+            target: game.players[swapTargetIndex].nickname,
+        });
+    } else if (sevenO && card.value === 0) {
+        emitEvent(io, room, 'hand_rotate', { by: currentPlayer.nickname, direction: game.direction });
+    }
+    game.turnStartedAt = Date.now();
+
+    broadcastGameState(io, room);
+    startTurnTimer(io, room);
+    return { ok: true };
+}
+
+/** Draw for the current player — or take whatever penalty is waiting on them. */
+function drawCard(io, room, actorId, version) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    if (isSpectator(room, actorId)) return SPECTATOR_ERROR;
+
+    const game = room.game;
+    if (version !== game.version) return staleError(game);
+    const currentPlayer = game.players[game.currentPlayerIndex];
+
+    if (currentPlayer.id !== actorId)
+        return { ok: false, error: 'Not your turn.' };
+
+    noteActive(currentPlayer);
+    recordAction(game, { type: 'draw', player: game.currentPlayerIndex });
+    bumpVersion(game);
+    const result = takeDrawTurn(game);
+    announceDraw(io, room, currentPlayer, result);
+
+    game.turnStartedAt = Date.now();
+    broadcastGameState(io, room);
+    startTurnTimer(io, room);
+    if (result.kind === 'draw') return { ok: true, drew: result.drawn, canPlay: result.canPlay };
+    return { ok: true, drew: result.count, canPlay: false };
+}
+
+/** The target of an open Wild Draw Four calls the bluff. */
+function challengeDrawFour(io, room, actorId, version) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    if (isSpectator(room, actorId)) return SPECTATOR_ERROR;
+    const game = room.game;
+    if (version !== game.version) return staleError(game);
+    const challenge = game.pendingChallenge;
+    if (!challenge) return { ok: false, error: 'Nothing to challenge.' };
+    const challenger = game.players[challenge.victimIndex];
+    if (challenger.id !== actorId)
+        return { ok: false, error: 'Only the target can challenge.' };
+
+    noteActive(challenger);
+    recordAction(game, { type: 'challenge', player: challenge.victimIndex });
+    bumpVersion(game);
+    const { bluffed, playerIndex, drawerIndex, count, hand } =
+        resolveDrawFourChallenge(game, true);
+
+    // Everyone learns the verdict; only the challenger sees the hand
+    emitEventWithPrivate(io, room, challenger, 'challenge', {
+        by: challenger.nickname,
+        target: game.players[playerIndex].nickname,
+        bluffed,
+        penalty: { nickname: game.players[drawerIndex].nickname, count },
+    }, { hand });
+
+    game.turnStartedAt = Date.now();
+    broadcastGameState(io, room);
+    startTurnTimer(io, room);
+    return { ok: true, bluffed };
+}
+
+/** Call Color Clash (like "UNO!") while holding one card. */
+function callClash(io, room, actorId, version) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    if (isSpectator(room, actorId)) return SPECTATOR_ERROR;
+    const game = room.game;
+    if (version !== game.version) return staleError(game);
+    const playerIndex = game.players.findIndex((p) => p.id === actorId);
+    const player = game.players[playerIndex];
+    if (!player) return { ok: false, error: 'Not in game.' };
+    if (player.hand.length !== 1)
+        return { ok: false, error: 'Can only call Color Clash with 1 card.' };
+
+    noteActive(player);
+    recordAction(game, { type: 'callClash', player: playerIndex });
+    bumpVersion(game);
+    callClashFor(game, playerIndex);
+    io.to(room.code).emit('game:clashAlert', { nickname: player.nickname });
+    broadcastGameState(io, room);
+    return { ok: true };
+}
+
+/** Accuse a player of sitting on one card without calling Color Clash. */
+function accuseClash(io, room, actorId, targetId, version) {
+    if (!room || room.phase !== 'game') return { ok: false, error: 'No active game.' };
+    if (isSpectator(room, actorId)) return SPECTATOR_ERROR;
+    const game = room.game;
+    if (version !== game.version) return staleError(game);
+    const accuser = game.players.find((p) => p.id === actorId);
+    if (!accuser) return { ok: false, error: 'Not in game.' };
+    const target = game.players.find((p) => p.id === targetId);
+    if (!target) return { ok: false, error: 'Player not found.' };
+    if (target.hand.length !== 1)
+        return { ok: false, error: 'Target does not have 1 card.' };
+    if (target.clashSafe)
+        return { ok: false, error: 'Player already called Color Clash.' };
+
+    // Give them the room's grace period to call it themselves
+    if (inClashGrace(game, target)) {
+        return { ok: false, error: `Wait ${room.settings.clashGraceSec} seconds for them to call it!` };
+    }
+
+    // Penalty: draw 2
+    const targetIdx = game.players.indexOf(target);
+    recordAction(game, { type: 'accuse', player: game.players.indexOf(accuser), target: targetIdx });
+    bumpVersion(game);
+    penalizeClash(game, targetIdx);
+    io.to(room.code).emit('game:accuseResult', {
+        accuser: accuser.nickname,
+        target: target.nickname,
+        penalty: 2,
+    });
+    broadcastGameState(io, room);
+    return { ok: true };
+}
+
+/**
+ * Take the current bot-controlled seat's turn: accuse anyone who forgot to
+ * call Color Clash, make a move (drawing if the chosen play is refused), then
+ * call Color Clash if down to one card.
+ */
+function runBotTurn(io, room) {
+    const game = room.game;
+    if (!game || game.phase !== 'game') return;
+    const bot = game.players[game.currentPlayerIndex];
+    const difficulty = bot.botDifficulty;
+    if (!difficulty) return; // its human took the seat back
+
+    // Bots always act on the current state
+    const accuseId = pickAccusation(game, game.currentPlayerIndex, difficulty);
+    if (accuseId) accuseClash(io, room, bot.id, accuseId, game.version);
+
+    const move = chooseMove(game, game.currentPlayerIndex, difficulty);
+    let result;
+    if (move.action === 'challenge') {
+        result = challengeDrawFour(io, room, bot.id, game.version);
+    } else if (move.action === 'play') {
+        const { cardIndex, ...play } = move;
+        result = playCard(io, room, bot.id, { ...play, cardId: bot.hand[cardIndex].id, version: game.version });
+    }
+    if (!result?.ok) drawCard(io, room, bot.id, game.version);
+
+    if (room.phase === 'game' && bot.hand.length === 1 && shouldCallClash(difficulty)) {
+        callClash(io, room, bot.id, game.version);
+    }
+}
+
+module.exports = {
+    clearTurnTimer,
+    startTurnTimer,
+    broadcastGameState,
+    emitEvent,
+    playCard,
+    drawCard,
+    challengeDrawFour,
+    callClash,
+    accuseClash,
+    vacateSeat,
+    reclaimSeat,
+    removeFromGame,
+    onGameEnded,
+};
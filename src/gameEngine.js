@@ -3,53 +3,177 @@
  * Server-authoritative deck management, validation, and effects.
  */
 
+const crypto = require('crypto');
+
 const COLORS = ['red', 'blue', 'green', 'yellow'];
 
-const SPECIAL_TYPES = ['skip', 'reverse', 'draw_two'];
-const WILD_TYPES = ['wild', 'wild_draw_four'];
+// How long a player has to call Color Clash before they can be accused
+const CLASH_GRACE_MS = 5000;
+// Cards dealt to each player at the start of a round
+const HAND_SIZE = 7;
+// Cards in one deck; big tables shuffle several together
+const DECK_SIZE = 108;
+
+// Big tables play with more decks: by default one per 42 cards dealt (6 hands of 7)
+const CARDS_DEALT_PER_DECK = 42;
+const MAX_DECKS = 4;
 
-/** Build a fresh 108-card Color Clash deck */
-function createDeck() {
+/**
+ * Build a fresh Color Clash deck from `decks` decks put together; every card
+ * gets a unique `id`. Optional card types are included when their house rule
+ * is on in `rules`.
+ */
+function createDeck(decks = 1, rules = {}) {
   const deck = [];
 
-  for (const color of COLORS) {
-    // One '0' card per color
-    deck.push({ color, type: 'number', value: 0 });
+  for (let d = 0; d < decks; d++) deck.push(...createSingleDeck(rules));
+  return deck.map((card, id) => ({ id, ...card }));
+}
 
-    // Two each of 1-9, skip, reverse, draw_two
-    for (let i = 1; i <= 9; i++) {
-      deck.push({ color, type: 'number', value: i });
-      deck.push({ color, type: 'number', value: i });
-    }
-    for (const type of SPECIAL_TYPES) {
-      deck.push({ color, type });
-      deck.push({ color, type });
+/** One deck (108 cards, plus any optional ones), without ids */
+function createSingleDeck(rules) {
+  const types = Object.values(CARD_TYPES).filter((def) => !def.rule || rules?.[def.rule]);
+  const deck = [];
+
+  for (const color of COLORS) {
+    for (const def of types.filter((t) => !t.wild)) {
+      if (def.values) {
+        for (const value of def.values) deck.push({ color, type: def.type, value });
+      } else {
+        for (let i = 0; i < def.perDeck; i++) deck.push({ color, type: def.type });
+      }
     }
   }
 
-  // 4 wilds + 4 wild_draw_fours
-  for (let i = 0; i < 4; i++) {
-    deck.push({ color: 'wild', type: 'wild' });
-    deck.push({ color: 'wild', type: 'wild_draw_four' });
+  // Wilds go in one of each type at a time
+  const wilds = types.filter((t) => t.wild);
+  const most = Math.max(0, ...wilds.map((t) => t.perDeck));
+  for (let i = 0; i < most; i++) {
+    for (const def of wilds) {
+      if (i < def.perDeck) deck.push({ color: 'wild', type: def.type });
+    }
   }
-
   return deck;
 }
 
-/** Fisher-Yates in-place shuffle */
-function shuffle(deck) {
+/** How many decks `playerCount` hands of `handSize` are dealt from by default */
+function decksFor(playerCount, handSize = HAND_SIZE) {
+  return Math.min(MAX_DECKS, Math.max(1, Math.ceil((playerCount * handSize) / CARDS_DEALT_PER_DECK)));
+}
+
+/**
+ * Whether `decks` decks can deal `playerCount` hands of `handSize` and still
+ * keep half the cards back. That leaves a healthy draw pile and, as a deck
+ * has only 8 wilds, always a card to flip for the starting discard.
+ */
+function enoughCards(playerCount, handSize, decks) {
+  return playerCount * handSize <= (decks * DECK_SIZE) / 2;
+}
+
+/**
+ * Fisher-Yates in-place shuffle
+ * @param {() => number} [rng] – random source in [0, 1); see gameRng
+ */
+function shuffle(deck, rng = Math.random) {
   for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rng() * (i + 1));
     [deck[i], deck[j]] = [deck[j], deck[i]];
   }
   return deck;
 }
 
-/** Deal 7 cards to each player; set up draw/discard piles. */
+// ── Provably fair shuffling ─────────────────────────────────────────────────
+// A game's shuffles can all be driven by one secret seed. Its SHA-256 hash is
+// published when the game starts and the seed is revealed when it ends, so
+// anyone can re-run createDeck + shuffle (and every reshuffle) to check it.
+
+/** A fresh secret seed (hex) */
+function createSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/** Public commitment to a seed: its SHA-256, hex encoded */
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * The `n`th random number in [0, 1) drawn from `seed`: the first 6 bytes of
+ * SHA-256("<seed>:<n>") read as a big-endian integer, divided by 2^48.
+ */
+function seededRandom(seed, n) {
+  const digest = crypto.createHash('sha256').update(`${seed}:${n}`).digest();
+  return digest.readUIntBE(0, 6) / 2 ** 48;
+}
+
+/**
+ * Random source for a game's shuffles. Seeded games count their draws in
+ * `game.rngCounter` so the sequence carries on across reshuffles and rounds.
+ */
+function gameRng(game) {
+  if (!game.seed) return Math.random;
+  return () => seededRandom(game.seed, game.rngCounter++);
+}
+
+/**
+ * Fresh game state for `players`. The deck is `deck` if given, else a new one
+ * shuffled from `seed` (or Math.random without one). With `record` the game
+ * keeps an action log (`game.log`) that `replayGame` can rebuild it from.
+ * `handSize` and `clashGraceMs` are the room's pacing settings, `decks` how
+ * many decks new ones are built from.
+ */
+function createGame(players, rules, {
+  deck, seed = null, record = false, handSize = HAND_SIZE, clashGraceMs = CLASH_GRACE_MS, decks = 1,
+} = {}) {
+  const game = {
+    phase: 'game',
+    drawPile: [],
+    seed,
+    seedHash: seed ? hashSeed(seed) : null,
+    rngCounter: 0,
+    discardPile: [],
+    currentPlayerIndex: 0,
+    currentColor: 'red',
+    direction: 1,
+    rules: { ...rules },
+    handSize,
+    clashGraceMs,
+    decks,
+    pendingDraw: 0,
+    pendingChallenge: null,
+    playCount: 0,
+    version: 0, // bumped with every move or removal (see gameActions)
+    // missedTurns / isAfk: turn timeouts in a row (see gameActions.startTurnTimer)
+    // tally: what each player did this game, for their profile (see profileStore)
+    players: players.map((p) => ({
+      ...p, hand: [], clashSafe: false, score: 0, missedTurns: 0, isAfk: false,
+      tally: { cardsPlayed: 0, drawFours: 0, clashPenalties: 0 },
+    })),
+    round: 1,
+    rounds: [],
+    turnStartedAt: Date.now(),
+    winner: null,
+    clashCalledBy: null,
+    log: record ? [] : null,
+  };
+  game.drawPile = deck || shuffle(createDeck(decks, rules), gameRng(game));
+  dealCards(game);
+  return game;
+}
+
+/** Append an entry to the game's action log, if it keeps one. */
+function recordAction(game, entry) {
+  if (game.log) game.log.push({ ...entry, at: Date.now() });
+}
+
+/** Deal `game.handSize` cards to each player; set up draw/discard piles. */
 function dealCards(game) {
+  // The deck order is all a replay needs to repeat the deal
+  recordAction(game, { type: 'deal', round: game.round, deck: game.drawPile.map((c) => ({ ...c })) });
+
   for (const player of game.players) {
     player.hand = [];
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < (game.handSize ?? HAND_SIZE); i++) {
       const card = game.drawPile.pop();
       player.hand.push(card);
     }
@@ -59,7 +183,7 @@ function dealCards(game) {
   let startCard;
   do {
     startCard = game.drawPile.pop();
-    if (WILD_TYPES.includes(startCard.type)) {
+    if (isWild(startCard)) {
       game.drawPile.unshift(startCard); // put back at bottom
       startCard = null;
     }
@@ -79,68 +203,527 @@ function topCard(game) {
  * @param {object} card – card from player's hand
  * @param {object} top – top of discard pile
  * @param {string} currentColor – active color (may differ from top.color for wild)
+ * @param {number} [pendingDraw] – stacked penalty waiting on this player; only
+ *   another draw card may answer it
  */
-function isValidPlay(card, top, currentColor) {
-  if (WILD_TYPES.includes(card.type)) return true;
+function isValidPlay(card, top, currentColor, pendingDraw = 0) {
+  const def = CARD_TYPES[card.type];
+  if (pendingDraw > 0 && !def.drawAmount) return false;
+  if (def.wild) return true;
   if (card.color === currentColor) return true;
-  if (card.type === 'number' && top.type === 'number' && card.value === top.value) return true;
-  if (card.type !== 'number' && card.type === top.type) return true;
-  return false;
+  return def.matches(card, top);
 }
 
 /**
- * Get the index of the next player, respecting direction.
+ * Jump-in house rule: a card identical to the discard top (same color and
+ * type/value) may be played out of turn. Wilds never count as identical, and
+ * nobody can jump in over a pending penalty or challenge.
  */
-function nextPlayerIndex(game, skip = false) {
-  const n = game.players.length;
-  const step = game.direction * (skip ? 2 : 1);
-  return ((game.currentPlayerIndex + step) % n + n) % n;
+function canJumpIn(game, card) {
+  if (!game.rules?.jumpIn) return false;
+  if (game.pendingDraw > 0 || game.pendingChallenge) return false;
+  const top = topCard(game);
+  return card.color !== 'wild' &&
+    card.color === top.color &&
+    card.type === top.type &&
+    card.value === top.value;
 }
 
 /**
- * Apply a card's effect to the game state after it is played.
- * Returns the next player index.
+ * Get the index of the next player, respecting direction. Players who are
+ * out (see isOut) are passed over.
  */
-function applyCardEffect(game, card, chosenColor) {
-  switch (card.type) {
-    case 'wild':
-    case 'wild_draw_four': {
-      game.currentColor = chosenColor || 'red';
-      if (card.type === 'wild_draw_four') {
-        const nextIdx = nextPlayerIndex(game);
-        drawCards(game, nextIdx, 4);
-        game.currentPlayerIndex = nextPlayerIndex(game, true);
-      } else {
-        game.currentPlayerIndex = nextPlayerIndex(game);
-      }
-      break;
-    }
-    case 'skip': {
+function nextPlayerIndex(game, skip = false) {
+  const n = game.players.length;
+  let index = game.currentPlayerIndex;
+  for (let moves = skip ? 2 : 1, seen = 0; moves > 0 && seen < 2 * n; seen++) {
+    index = ((index + game.direction) % n + n) % n;
+    if (!isOut(game, game.players[index])) moves -= 1;
+  }
+  return index;
+}
+
+// ── Teams ───────────────────────────────────────────────────────────────────
+// With the teamMode rule every player has a `team` number and seats
+// alternate between teams. A team wins as soon as one member goes out, or
+// with teamAllOut once all of them have; members who are already out sit
+// the rest of the hand out.
+
+/** True if `player` has gone out but their team hasn't won yet */
+function isOut(game, player) {
+  return !!(game.rules?.teamMode && game.rules.teamAllOut && player.hand.length === 0);
+}
+
+/** True if `player` emptying their hand wins it for them (or their team) */
+function handWon(game, player) {
+  if (player.hand.length > 0) return false;
+  if (!game.rules?.teamMode || !game.rules.teamAllOut) return true;
+  return game.players.every((p) => p.team !== player.team || p.hand.length === 0);
+}
+
+/** Each team's members and cards still held, fewest cards first */
+function teamStandings(game) {
+  const teams = new Map();
+  for (const p of game.players) {
+    if (!teams.has(p.team)) teams.set(p.team, { team: p.team, playerIds: [], cardCount: 0 });
+    const entry = teams.get(p.team);
+    entry.playerIds.push(p.id);
+    entry.cardCount += p.hand.length;
+  }
+  return [...teams.values()].sort((a, b) => a.cardCount - b.cardCount);
+}
+
+// ── Card types ──────────────────────────────────────────────────────────────
+// Everything a kind of card does is declared once, in CARD_TYPES:
+//   wild       – no color of its own: fits on anything, the player picks one
+//   perDeck    – copies in a deck (per color, unless wild)
+//   values     – number cards: one per color for each value listed instead
+//   points     – what it scores in points mode (or a function of the card)
+//   drawAmount – cards it makes the next player draw; only these can stack
+//   attack     – hurts the next player some other way (bots aim it like a draw card)
+//   rule       – house rule that adds it to the deck; without one it's standard
+//   matches(card, top)        – besides color, what it can be played on
+//   effect(game, card, play)  – what it does once down; must move the turn on
+//   event(game, play)         – its activity-feed [event, payload]
+// `play` is { chosenColor, swapTargetIndex, previousColor } for effects and
+// { by, target, chosenColor, card, effect } for events, where target is
+// whoever sat next when it was played and effect is what effect() returned.
+
+const CARD_TYPES = {};
+
+/** Add (or replace) a card type; see CARD_TYPES for the fields. */
+function registerCardType(type, def) {
+  CARD_TYPES[type] = {
+    type,
+    perDeck: 0,
+    points: def.wild ? 50 : 20,
+    matches: (card, top) => card.type === top.type,
+    event: (game, { by, card }) => ['play', { by, card: { color: card.color, type: card.type, value: card.value } }],
+    ...def,
+  };
+}
+
+/** True for cards the player picks a color for */
+function isWild(card) {
+  return !!CARD_TYPES[card.type]?.wild;
+}
+
+registerCardType('number', {
+  values: [0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9],
+  points: (card) => card.value,
+  matches: (card, top) => top.type === 'number' && card.value === top.value,
+  effect(game, card, { swapTargetIndex }) {
+    if (game.rules?.sevenO) applySevenO(game, card, swapTargetIndex);
+    game.currentPlayerIndex = nextPlayerIndex(game);
+  },
+});
+
+registerCardType('skip', {
+  perDeck: 2,
+  attack: true,
+  effect(game) {
+    game.currentPlayerIndex = nextPlayerIndex(game, true);
+  },
+  event: (game, { by, target }) => ['skip', { by, skipped: target }],
+});
+
+registerCardType('reverse', {
+  perDeck: 2,
+  effect(game) {
+    if (game.players.length === 2) {
+      // In 2-player, reverse acts like skip
       game.currentPlayerIndex = nextPlayerIndex(game, true);
-      break;
-    }
-    case 'reverse': {
-      if (game.players.length === 2) {
-        // In 2-player, reverse acts like skip
-        game.currentPlayerIndex = nextPlayerIndex(game, true);
-      } else {
-        game.direction *= -1;
-        game.currentPlayerIndex = nextPlayerIndex(game);
-      }
-      break;
+    } else {
+      game.direction *= -1;
+      game.currentPlayerIndex = nextPlayerIndex(game);
     }
-    case 'draw_two': {
-      const nextIdx = nextPlayerIndex(game);
-      drawCards(game, nextIdx, 2);
-      game.currentPlayerIndex = nextPlayerIndex(game, true);
-      break;
+  },
+  event: (game, { by }) => ['reverse', { by }],
+});
+
+registerCardType('draw_two', {
+  perDeck: 2,
+  drawAmount: 2,
+  effect(game, card) {
+    applyDrawPenalty(game, CARD_TYPES[card.type].drawAmount);
+  },
+  event: (game, { by, target }) => ['draw_penalty', { by, target, count: 2 }],
+});
+
+registerCardType('wild', {
+  wild: true,
+  perDeck: 4,
+  effect(game) {
+    game.currentPlayerIndex = nextPlayerIndex(game);
+  },
+  event: (game, { by, chosenColor }) => ['wild', { by, color: chosenColor }],
+});
+
+registerCardType('wild_draw_four', {
+  wild: true,
+  perDeck: 4,
+  drawAmount: 4,
+  effect(game, card, { previousColor }) {
+    if (game.rules?.drawFourChallenge && !game.rules?.stacking) {
+      openDrawFourChallenge(game, previousColor);
+    } else {
+      applyDrawPenalty(game, CARD_TYPES[card.type].drawAmount);
     }
-    default: {
-      // number card
-      game.currentColor = card.color;
-      game.currentPlayerIndex = nextPlayerIndex(game);
+  },
+  event(game, { by, target, chosenColor }) {
+    // With challenges the penalty is on hold until the target challenges or accepts
+    if (game.rules?.drawFourChallenge) return ['draw_four', { by, target, color: chosenColor }];
+    return ['draw_penalty', { by, target, count: 4 }];
+  },
+});
+
+// Optional cards, each behind its own house rule
+
+registerCardType('skip_everyone', {
+  rule: 'skipEveryone',
+  perDeck: 1,
+  effect() {
+    // Everyone else is skipped: the turn stays put
+  },
+  event: (game, { by }) => ['skip_everyone', { by }],
+});
+
+registerCardType('discard_color', {
+  rule: 'discardColor',
+  perDeck: 1,
+  effect(game, card) {
+    const player = game.players[game.currentPlayerIndex];
+    const discarded = player.hand.filter((c) => c.color === card.color);
+    player.hand = player.hand.filter((c) => c.color !== card.color);
+    // They go under the card just played, which stays on top
+    game.discardPile.splice(game.discardPile.length - 1, 0, ...discarded);
+    player.lastCardAt = player.hand.length === 1 ? Date.now() : null;
+    game.currentPlayerIndex = nextPlayerIndex(game);
+    return { count: discarded.length };
+  },
+  event: (game, { by, card, effect }) => ['discard_color', { by, color: card.color, count: effect?.count ?? 0 }],
+});
+
+registerCardType('wild_shuffle', {
+  rule: 'wildShuffle',
+  wild: true,
+  perDeck: 1,
+  effect(game) {
+    shuffleHands(game);
+    game.currentPlayerIndex = nextPlayerIndex(game);
+  },
+  event: (game, { by, chosenColor }) => ['shuffle_hands', { by, color: chosenColor }],
+});
+
+registerCardType('wild_draw_color', {
+  rule: 'drawColor',
+  wild: true,
+  perDeck: 2,
+  attack: true,
+  effect(game) {
+    const victimIndex = nextPlayerIndex(game);
+    const victim = game.players[victimIndex];
+    let count = 0;
+    // One card at a time until the color turns up (or the pile runs dry)
+    for (;;) {
+      const before = victim.hand.length;
+      drawCards(game, victimIndex, 1);
+      if (victim.hand.length === before) break;
+      count += 1;
+      if (victim.hand[victim.hand.length - 1].color === game.currentColor) break;
     }
+    game.currentPlayerIndex = nextPlayerIndex(game, true);
+    return { count };
+  },
+  event(game, { by, target, chosenColor, effect }) {
+    return ['draw_color', { by, target, color: chosenColor, count: effect?.count ?? 0 }];
+  },
+});
+
+/**
+ * Apply a card's effect to the game state after it is played: set the color
+ * in play, then run the card type's effect, which moves the turn on.
+ * Returns whatever the effect reports (or null).
+ * @param {number} [swapTargetIndex] – Seven-O: whose hand a 7 swaps with
+ */
+function applyCardEffect(game, card, chosenColor, swapTargetIndex) {
+  const previousColor = game.currentColor;
+  game.currentColor = isWild(card) ? chosenColor || 'red' : card.color;
+  return CARD_TYPES[card.type].effect(game, card, { chosenColor, swapTargetIndex, previousColor }) ?? null;
+}
+
+/**
+ * The activity-feed [event, payload] for `card` having been played; see
+ * CARD_TYPES for `play`. Stacked draw cards are reported as a growing stack.
+ */
+function cardEvent(game, card, play) {
+  const def = CARD_TYPES[card.type];
+  if (def.drawAmount && game.rules?.stacking) {
+    return ['draw_stack', {
+      by: play.by,
+      target: play.target,
+      count: def.drawAmount,
+      total: (play.stackedBefore || 0) + def.drawAmount,
+    }];
   }
+  return def.event(game, { ...play, card });
+}
+
+/**
+ * Seven-O house rule: a 7 swaps hands with the chosen player, a 0 passes
+ * every hand one seat along `game.direction`.
+ */
+function applySevenO(game, card, swapTargetIndex) {
+  if (card.value === 7) {
+    const target = game.players[swapTargetIndex];
+    if (!target || swapTargetIndex === game.currentPlayerIndex || isOut(game, target)) return;
+    const player = game.players[game.currentPlayerIndex];
+    [player.hand, target.hand] = [target.hand, player.hand];
+  } else if (card.value === 0) {
+    // Hands only pass between players still in the hand
+    const seated = game.players.filter((p) => !isOut(game, p));
+    const hands = seated.map((p) => p.hand);
+    const m = seated.length;
+    hands.forEach((hand, i) => {
+      seated[((i + game.direction) % m + m) % m].hand = hand;
+    });
+  } else {
+    return;
+  }
+  resetClashFlags(game);
+}
+
+/**
+ * Wild Shuffle Hands: pool the hands of everyone still in, shuffle them and
+ * deal them back one at a time, starting after the current player.
+ */
+function shuffleHands(game) {
+  const seated = game.players.filter((p) => !isOut(game, p));
+  const me = seated.indexOf(game.players[game.currentPlayerIndex]);
+  // A replay feeds back the recorded order instead of shuffling again
+  const cards = game.replayShuffles?.length
+    ? game.replayShuffles.shift()
+    : shuffle(seated.flatMap((p) => p.hand), gameRng(game));
+  recordAction(game, { type: 'shuffle', cards: cards.map((c) => ({ ...c })) });
+
+  const m = seated.length;
+  for (const p of seated) p.hand = [];
+  cards.forEach((card, i) => {
+    seated[((me + game.direction * (i + 1)) % m + m) % m].hand.push(card);
+  });
+  resetClashFlags(game);
+}
+
+/** Hands changed owners, so clash flags no longer describe them: recompute them. */
+function resetClashFlags(game) {
+  for (const p of game.players) {
+    p.clashSafe = false;
+    p.lastCardAt = p.hand.length === 1 ? Date.now() : null;
+  }
+}
+
+/**
+ * Hand a draw penalty to the next player. With the stacking house rule the
+ * penalty is added to `game.pendingDraw` and the next player gets a turn to
+ * answer it; otherwise they draw immediately and are skipped.
+ */
+function applyDrawPenalty(game, count) {
+  if (game.rules?.stacking) {
+    game.pendingDraw = (game.pendingDraw || 0) + count;
+    game.currentPlayerIndex = nextPlayerIndex(game);
+    return;
+  }
+  drawCards(game, nextPlayerIndex(game), count);
+  game.currentPlayerIndex = nextPlayerIndex(game, true);
+}
+
+/**
+ * The current player can't (or won't) stack: they draw the whole pending
+ * penalty and lose their turn. Returns the number of cards drawn.
+ */
+function resolvePendingDraw(game) {
+  const count = game.pendingDraw || 0;
+  drawCards(game, game.currentPlayerIndex, count);
+  game.pendingDraw = 0;
+  game.currentPlayerIndex = nextPlayerIndex(game);
+  return count;
+}
+
+/**
+ * Hold a Draw Four's penalty while the victim decides whether to challenge.
+ * The player's hand is snapshotted here so the bluff check (and the reveal)
+ * reflect what they held when the card went down. Not used with stacking.
+ */
+function openDrawFourChallenge(game, previousColor) {
+  const player = game.players[game.currentPlayerIndex];
+  const victimIndex = nextPlayerIndex(game);
+  game.pendingChallenge = {
+    playerIndex: game.currentPlayerIndex,
+    victimIndex,
+    hand: player.hand.map((c) => ({ ...c })),
+    bluffed: player.hand.some((c) => c.color === previousColor),
+  };
+  game.currentPlayerIndex = victimIndex;
+}
+
+/**
+ * Settle an open Draw Four. Unchallenged, the victim draws 4 and is skipped.
+ * A caught bluff makes the player draw 4 instead and the victim plays on; a
+ * failed challenge costs the challenger 6 cards and their turn.
+ * Returns { bluffed, playerIndex, drawerIndex, count, hand }.
+ */
+function resolveDrawFourChallenge(game, challenged) {
+  const { playerIndex, victimIndex, hand, bluffed } = game.pendingChallenge;
+  game.pendingChallenge = null;
+  game.currentPlayerIndex = victimIndex;
+
+  const { drawAmount } = CARD_TYPES.wild_draw_four;
+  if (challenged && bluffed) {
+    drawCards(game, playerIndex, drawAmount);
+    return {
+      bluffed, playerIndex, drawerIndex: playerIndex, count: drawAmount, hand,
+    };
+  }
+
+  const count = challenged ? drawAmount + 2 : drawAmount;
+  drawCards(game, victimIndex, count);
+  game.currentPlayerIndex = nextPlayerIndex(game);
+  return { bluffed, playerIndex, drawerIndex: victimIndex, count, hand };
+}
+
+// ── Turns ───────────────────────────────────────────────────────────────────
+// State changes for each player action. The caller validates the move and
+// handles events; replays call these same functions.
+
+/**
+ * Play `cardIndex` from the hand of the player at `playerIndex` (which takes
+ * the turn, for jump-ins). Returns { card, won, effect }; the effect is only
+ * applied if the player still has cards (and may itself empty their hand).
+ */
+function playFromHand(game, playerIndex, cardIndex, chosenColor, swapTargetIndex) {
+  game.currentPlayerIndex = playerIndex;
+  const player = game.players[playerIndex];
+  const [card] = player.hand.splice(cardIndex, 1);
+  game.discardPile.push(card);
+  game.playCount += 1;
+  player.tally.cardsPlayed += 1;
+  if (card.type === 'wild_draw_four') player.tally.drawFours += 1;
+
+  // Reset clash safety for current player
+  player.clashSafe = false;
+  game.clashCalledBy = null;
+  player.lastCardAt = player.hand.length === 1 ? Date.now() : null;
+
+  if (handWon(game, player)) return { card, won: true, effect: null };
+  const effect = applyCardEffect(game, card, chosenColor, swapTargetIndex);
+  return { card, won: handWon(game, player), effect };
+}
+
+/**
+ * The current player draws. That accepts an open Draw Four, takes a stacked
+ * penalty, or draws one card — passing the turn unless it can be played.
+ * Returns { kind: 'drawFour', playerIndex, count } | { kind: 'penalty', count }
+ *   | { kind: 'draw', drawn, canPlay }.
+ */
+function takeDrawTurn(game) {
+  if (game.pendingChallenge) {
+    const { playerIndex, count } = resolveDrawFourChallenge(game, false);
+    return { kind: 'drawFour', playerIndex, count };
+  }
+  if (game.pendingDraw > 0) {
+    return { kind: 'penalty', count: resolvePendingDraw(game) };
+  }
+
+  const player = game.players[game.currentPlayerIndex];
+  drawCards(game, game.currentPlayerIndex, 1);
+  const drawn = player.hand[player.hand.length - 1];
+  const canPlay = !!drawn && isValidPlay(drawn, topCard(game), game.currentColor);
+  if (!canPlay) game.currentPlayerIndex = nextPlayerIndex(game);
+  return { kind: 'draw', drawn, canPlay };
+}
+
+/**
+ * The turn timer ran out. Pending penalties land on the current player as if
+ * they drew; otherwise they draw one card — or nothing, with `skip`, for an
+ * offline player — and the turn moves on.
+ */
+function timeoutTurn(game, skip) {
+  if (game.pendingChallenge || game.pendingDraw > 0) return takeDrawTurn(game);
+  if (!skip) drawCards(game, game.currentPlayerIndex, 1);
+  game.currentPlayerIndex = nextPlayerIndex(game);
+  return { kind: skip ? 'skip' : 'autoDraw' };
+}
+
+/**
+ * Take the player at `playerIndex` out of the game. Their hand goes to the
+ * bottom of the draw pile, a penalty or Draw Four waiting on (or thrown by)
+ * them lapses, and play carries on in the same direction from their seat.
+ * The last player left wins. Returns { player, over }.
+ */
+function removePlayer(game, playerIndex) {
+  const wasTurn = playerIndex === game.currentPlayerIndex;
+  const [player] = game.players.splice(playerIndex, 1);
+  game.drawPile.unshift(...player.hand);
+  player.hand = [];
+
+  const challenge = game.pendingChallenge;
+  if (challenge && [challenge.playerIndex, challenge.victimIndex].includes(playerIndex)) {
+    game.pendingChallenge = null;
+  } else if (challenge) {
+    if (challenge.playerIndex > playerIndex) challenge.playerIndex -= 1;
+    if (challenge.victimIndex > playerIndex) challenge.victimIndex -= 1;
+  }
+
+  let current = game.currentPlayerIndex;
+  if (wasTurn) {
+    game.pendingDraw = 0;
+    // Whoever sat after them now has their index (or the one before it, in reverse)
+    if (game.direction === -1) current -= 1;
+  } else if (playerIndex < current) {
+    current -= 1;
+  }
+  const n = game.players.length;
+  game.currentPlayerIndex = ((current % n) + n) % n;
+  if (isOut(game, game.players[game.currentPlayerIndex])) game.currentPlayerIndex = nextPlayerIndex(game);
+
+  // In teams, the game is over once a single team is left
+  const sides = new Set(game.players.map((p) => (game.rules?.teamMode ? p.team : p)));
+  if (sides.size > 1) return { player, over: false };
+  game.winner = game.players[0].nickname;
+  if (game.rules?.teamMode) game.winningTeam = game.players[0].team;
+  game.phase = 'results';
+  return { player, over: true };
+}
+
+/** Mark the player at `playerIndex` as having called Color Clash. */
+function callClashFor(game, playerIndex) {
+  const player = game.players[playerIndex];
+  player.clashSafe = true;
+  game.clashCalledBy = player.nickname;
+}
+
+/** The player at `playerIndex` was caught on one card without calling it: draw 2. */
+function penalizeClash(game, playerIndex) {
+  drawCards(game, playerIndex, 2);
+  game.players[playerIndex].tally.clashPenalties += 1;
+}
+
+/**
+ * The player at `winnerIndex` emptied their hand. In points mode the round is
+ * scored; the game only ends once someone reaches the target score.
+ * Returns { over, round } (round is null outside points mode).
+ */
+function settleWin(game, winnerIndex) {
+  const winner = game.players[winnerIndex];
+  let round = null;
+  if (game.rules?.pointsMode) {
+    round = scoreRound(game, winnerIndex);
+    if (winner.score < game.rules.targetScore) return { over: false, round };
+  }
+  game.winner = winner.nickname;
+  if (game.rules?.teamMode) game.winningTeam = winner.team;
+  game.phase = 'results';
+  return { over: true, round };
 }
 
 /** Draw `count` cards from the pile for a player (auto-reshuffle if needed) */
@@ -157,8 +740,62 @@ function drawCards(game, playerIndex, count) {
 function reshuffleDiscardIntoDraw(game) {
   if (game.discardPile.length <= 1) return;
   const top = game.discardPile.pop();
-  game.drawPile = shuffle(game.discardPile);
+  // A replay feeds back the recorded order instead of shuffling again
+  game.drawPile = game.replayShuffles?.length
+    ? game.replayShuffles.shift()
+    : shuffle(game.discardPile, gameRng(game));
   game.discardPile = [top];
+  recordAction(game, { type: 'reshuffle', drawPile: game.drawPile.map((c) => ({ ...c })) });
+}
+
+/** Standard scoring: numbers at face value, action cards 20, wilds 50 */
+function cardPoints(card) {
+  const { points } = CARD_TYPES[card.type];
+  return typeof points === 'function' ? points(card) : points;
+}
+
+/**
+ * Points mode: the round winner scores everything left in the other hands.
+ * Adds to `winner.score`, records the round in `game.rounds` and returns it.
+ */
+function scoreRound(game, winnerIndex) {
+  const winner = game.players[winnerIndex];
+  const hands = game.players
+    .filter((p) => p !== winner)
+    .map((p) => ({
+      id: p.id,
+      nickname: p.nickname,
+      cardCount: p.hand.length,
+      points: p.hand.reduce((sum, c) => sum + cardPoints(c), 0),
+    }));
+  const points = hands.reduce((sum, h) => sum + h.points, 0);
+  winner.score = (winner.score || 0) + points;
+
+  const round = { round: game.round, winner: winner.nickname, points, hands };
+  game.rounds.push(round);
+  return round;
+}
+
+/** Points mode: fresh deck and deal for the next round; first turn rotates. */
+function startNextRound(game, deck = shuffle(createDeck(game.decks ?? 1, game.rules), gameRng(game))) {
+  game.round += 1;
+  game.drawPile = deck;
+  game.discardPile = [];
+  game.direction = 1;
+  game.pendingDraw = 0;
+  game.pendingChallenge = null;
+  game.clashCalledBy = null;
+  game.currentPlayerIndex = (game.round - 1) % game.players.length;
+  for (const p of game.players) {
+    p.clashSafe = false;
+    p.lastCardAt = null;
+  }
+  dealCards(game);
+}
+
+/** True while `player` is still within their grace period to call Color Clash */
+function inClashGrace(game, player, now = Date.now()) {
+  return !!player.lastCardAt && now - player.lastCardAt < (game.clashGraceMs ?? CLASH_GRACE_MS);
 }
 
 /** Returns true if the player has won (0 cards left) */
@@ -178,30 +815,157 @@ function publicGameState(game) {
     direction: game.direction,
     drawPileCount: game.drawPile.length,
     discardTop: topCard(game),
+    playCount: game.playCount || 0,
+    version: game.version || 0,
+    pendingDraw: game.pendingDraw || 0,
+    seedHash: game.seedHash || null,
+    decks: game.decks || 1,
+    drawFourChallenge: game.pendingChallenge
+      ? {
+        playerIndex: game.pendingChallenge.playerIndex,
+        victimIndex: game.pendingChallenge.victimIndex,
+      }
+      : null,
     players: game.players.map((p) => ({
       id: p.id,
       nickname: p.nickname,
       cardCount: p.hand.length,
       isConnected: p.isConnected,
+      isBot: !!p.isBot,
+      botControlled: !!p.botDifficulty,
+      isAfk: !!p.isAfk,
+      score: p.score || 0,
+      team: p.team ?? null,
     })),
+    teams: game.rules?.teamMode ? teamStandings(game) : null,
+    winningTeam: game.winningTeam ?? null,
+    round: game.round || 1,
+    targetScore: game.rules?.pointsMode ? game.rules.targetScore : null,
     turnStartedAt: game.turnStartedAt,
     winner: game.winner || null,
     clashCalledBy: game.clashCalledBy || null,
   };
 }
 
+// ── Replays ─────────────────────────────────────────────────────────────────
+
+/** Deep copy of a game for a replay step, without replay bookkeeping */
+function snapshotGame(game) {
+  const { log, replayShuffles, ...state } = game;
+  return structuredClone(state);
+}
+
+/** Re-apply one recorded action to a replay game. */
+function applyLogEntry(game, entry) {
+  switch (entry.type) {
+    case 'deal':
+      startNextRound(game, entry.deck.map((c) => ({ ...c })));
+      break;
+    case 'play': {
+      const { won } = playFromHand(game, entry.player, entry.cardIndex, entry.chosenColor, entry.swapTarget);
+      if (won) settleWin(game, entry.player);
+      break;
+    }
+    case 'draw':
+      takeDrawTurn(game);
+      break;
+    case 'challenge':
+      resolveDrawFourChallenge(game, true);
+      break;
+    case 'timeout':
+      timeoutTurn(game, entry.skip);
+      break;
+    case 'callClash':
+      callClashFor(game, entry.player);
+      break;
+    case 'accuse':
+      penalizeClash(game, entry.target);
+      break;
+    case 'remove':
+      removePlayer(game, entry.player);
+      break;
+    default:
+      throw new Error(`Unknown replay entry: ${entry.type}`);
+  }
+}
+
+/** The cards a logged reshuffle (or hand shuffle) put in order, else null */
+function shuffledCards(entry) {
+  if (entry?.type === 'reshuffle') return entry.drawPile;
+  if (entry?.type === 'shuffle') return entry.cards;
+  return null;
+}
+
+/**
+ * Step through a recorded game. Yields { step, entry, state } for the opening
+ * deal and after every action, where `state` is the full game (all hands).
+ * Reshuffle and hand-shuffle entries are fed to the action that triggered
+ * them rather than yielded on their own.
+ */
+function* replayGame(replay) {
+  const [deal, ...entries] = replay.log;
+  const game = createGame(replay.players, replay.rules, {
+    deck: deal.deck.map((c) => ({ ...c })),
+    ...replay.settings,
+  });
+  yield { step: 0, entry: deal, state: snapshotGame(game) };
+
+  let step = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (shuffledCards(entry)) continue;
+    game.replayShuffles = [];
+    for (let j = i + 1; shuffledCards(entries[j]); j++) {
+      game.replayShuffles.push(shuffledCards(entries[j]).map((c) => ({ ...c })));
+    }
+    applyLogEntry(game, entry);
+    yield { step: ++step, entry, state: snapshotGame(game) };
+  }
+}
+
 module.exports = {
   createDeck,
+  decksFor,
+  enoughCards,
   shuffle,
+  createSeed,
+  hashSeed,
+  seededRandom,
+  createGame,
+  recordAction,
   dealCards,
   isValidPlay,
+  canJumpIn,
+  registerCardType,
+  isWild,
   applyCardEffect,
+  cardEvent,
   drawCards,
+  resolvePendingDraw,
+  resolveDrawFourChallenge,
   reshuffleDiscardIntoDraw,
   checkWin,
+  inClashGrace,
+  playFromHand,
+  takeDrawTurn,
+  timeoutTurn,
+  removePlayer,
+  callClashFor,
+  penalizeClash,
+  settleWin,
+  replayGame,
+  cardPoints,
+  scoreRound,
+  startNextRound,
   publicGameState,
   topCard,
   nextPlayerIndex,
+  isOut,
+  teamStandings,
   COLORS,
-  WILD_TYPES,
+  CARD_TYPES,
+  CLASH_GRACE_MS,
+  HAND_SIZE,
+  DECK_SIZE,
+  MAX_DECKS,
 };
@@ -7,6 +7,9 @@ const rateLimit = require('express-rate-limit');
 
 const apiRoutes = require('./routes/api');
 const registerHandlers = require('./socketHandlers');
+const { setRoomStore } = require('./roomManager');
+const { createFileStore } = require('./roomStore');
+const { loadProfiles } = require('./profileStore');
 
 const PORT = process.env.PORT || 3001;
 
@@ -56,7 +59,19 @@ const io = new Server(server, {
     transports: ['websocket', 'polling'],
 });
 
-registerHandlers(io);
+// Keep rooms on disk across restarts when a directory is configured
+if (process.env.ROOM_STORE_DIR) {
+    setRoomStore(createFileStore(process.env.ROOM_STORE_DIR));
+}
+// Player profiles and ratings live in memory unless a file is configured
+if (process.env.PROFILE_STORE_FILE) {
+    loadProfiles(process.env.PROFILE_STORE_FILE);
+}
+// Quick play: how long a short-handed group waits before bots or a smaller table
+const fillAfterSec = Number(process.env.MATCH_FILL_AFTER_SEC);
+registerHandlers(io, {
+    matchmaking: fillAfterSec > 0 ? { fillAfterMs: fillAfterSec * 1000 } : {},
+});
 
 // ── Start ───────────────────────────────────────────
 server.listen(PORT, '0.0.0.0', () => {
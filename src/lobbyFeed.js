@@ -0,0 +1,45 @@
+/**
+ * Color Clash – Live Lobby Browser
+ * Sockets subscribed to the lobby browser get the first page of public rooms
+ * straight away, then `lobby:roomUpdated` (a room summary) whenever a listed
+ * room changes and `lobby:roomRemoved` ({ code }) once it fills up, starts,
+ * goes private or closes.
+ */
+
+const { publicRoomSummary, listPublicRooms, onRoomChange, MAX_ROOMS } = require('./roomManager');
+
+const LOBBY_CHANNEL = 'lobby:browser';
+
+/** Start pushing lobby-list changes to subscribed sockets on `io`. */
+function createLobbyFeed(io) {
+    const listed = new Map(); // roomCode → last summary sent (JSON)
+    for (const summary of listPublicRooms({ pageSize: MAX_ROOMS }).rooms) {
+        listed.set(summary.code, JSON.stringify(summary));
+    }
+
+    onRoomChange((room, { deleted }) => {
+        const summary = deleted ? null : publicRoomSummary(room);
+        if (!summary) {
+            if (listed.delete(room.code)) io.to(LOBBY_CHANNEL).emit('lobby:roomRemoved', { code: room.code });
+            return;
+        }
+        // Game moves persist the room too; only send what subscribers can see change
+        const json = JSON.stringify(summary);
+        if (listed.get(room.code) === json) return;
+        listed.set(room.code, json);
+        io.to(LOBBY_CHANNEL).emit('lobby:roomUpdated', summary);
+    });
+
+    return {
+        /** Subscribe `socket`; returns the first page to show. */
+        subscribe(socket, { pageSize } = {}) {
+            socket.join(LOBBY_CHANNEL);
+            return listPublicRooms({ page: 1, pageSize });
+        },
+        unsubscribe(socket) {
+            socket.leave(LOBBY_CHANNEL);
+        },
+    };
+}
+
+module.exports = { createLobbyFeed };
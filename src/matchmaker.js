@@ -0,0 +1,196 @@
+/**
+ * Color Clash – Quick-Play Matchmaking
+ * Players queue with their preferences (table size, rule variant) and are
+ * grouped with others who want the same game. A full group gets a room and
+ * a short countdown before the game starts. If a group waits too long, its
+ * empty seats go to bots (when everyone in it allows them) or it starts at
+ * a smaller table. Queued sockets get `match:status` updates with their
+ * position and estimated wait, then `match:found` with their new room.
+ */
+
+const {
+    createRoom,
+    joinRoom,
+    addBot,
+    updateRules,
+    updateSettings,
+    startGame,
+    getRoom,
+    getRoomBySocket,
+    sanitizeRoomPublic,
+} = require('./roomManager');
+const { broadcastGameState, startTurnTimer } = require('./gameActions');
+const { historyFor } = require('./chatManager');
+
+// Rule presets players can queue for
+const MATCH_VARIANTS = {
+    classic: {},
+    stacking: { stacking: true },
+    jumpIn: { jumpIn: true },
+    sevenO: { sevenO: true },
+    points: { pointsMode: true },
+};
+
+const MATCH_DEFAULTS = {
+    countdownMs: 5000,  // from match found to game start
+    fillAfterMs: 30000, // how long a group waits before bots / a smaller table
+    tickMs: 1000,       // how often waiting groups are checked
+};
+
+/**
+ * Matchmaking for one server. `options` overrides any of MATCH_DEFAULTS.
+ * @returns {{ queue(socket, prefs): object, leave(socket): boolean }}
+ */
+function createMatchmaker(io, options = {}) {
+    const config = { ...MATCH_DEFAULTS, ...options };
+    const groups = new Map();   // `${players}:${variant}` → entries, oldest first
+    const avgWaitMs = new Map(); // group key → average wait of past matches
+
+    function groupOf(socketId) {
+        for (const [key, entries] of groups) {
+            if (entries.some((e) => e.socketId === socketId)) return key;
+        }
+        return null;
+    }
+
+    function removeEntry(socketId) {
+        const key = groupOf(socketId);
+        if (!key) return false;
+        const entries = groups.get(key).filter((e) => e.socketId !== socketId);
+        if (entries.length) groups.set(key, entries);
+        else groups.delete(key);
+        sendStatus(key);
+        return true;
+    }
+
+    /** How long `entry` can expect to wait, from past matches in its group */
+    function estimateWait(key, entry, now) {
+        const expected = Math.min(avgWaitMs.get(key) ?? config.fillAfterMs, config.fillAfterMs);
+        return Math.max(0, expected - (now - entry.joinedAt));
+    }
+
+    function statusFor(key, entry, now) {
+        const entries = groups.get(key) || [];
+        return {
+            position: entries.indexOf(entry) + 1,
+            queued: entries.length,
+            needed: entry.players,
+            variant: entry.variant,
+            etaMs: estimateWait(key, entry, now),
+        };
+    }
+
+    function sendStatus(key) {
+        const now = Date.now();
+        for (const entry of groups.get(key) || []) {
+            io.to(entry.socketId).emit('match:status', statusFor(key, entry, now));
+        }
+    }
+
+    /** Seat `entries` (plus `bots` bots) in a new room and start the countdown. */
+    function formMatch(key, entries, bots) {
+        const now = Date.now();
+        const waited = entries.reduce((sum, e) => sum + now - e.joinedAt, 0) / entries.length;
+        avgWaitMs.set(key, avgWaitMs.has(key) ? (avgWaitMs.get(key) + waited) / 2 : waited);
+
+        const [host, ...guests] = entries;
+        const { room, error } = createRoom(host.socketId, host.nickname);
+        if (error) {
+            for (const entry of entries) io.to(entry.socketId).emit('match:failed', { error });
+            return;
+        }
+        updateRules(room.code, host.socketId, MATCH_VARIANTS[host.variant]);
+        updateSettings(room.code, host.socketId, { maxPlayers: host.players });
+        for (const guest of guests) joinRoom(guest.socketId, room.code, guest.nickname);
+        for (let i = 0; i < bots; i++) addBot(room.code, host.socketId);
+
+        const startsAt = now + config.countdownMs;
+        for (const entry of entries) {
+            const player = room.players.find((p) => p.socketId === entry.socketId);
+            const socket = io.sockets.sockets.get(entry.socketId);
+            player.profileId = socket?.data?.profileId ?? null;
+            socket?.join(room.code);
+            io.to(entry.socketId).emit('match:found', {
+                room: sanitizeRoomPublic(room),
+                playerId: player.id,
+                token: player.token,
+                chat: historyFor(room, player),
+                startsAt,
+            });
+        }
+        io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+        setTimeout(() => startMatch(room.code), config.countdownMs);
+    }
+
+    /** Countdown over: start with whoever stayed, topping up with bots if needed. */
+    function startMatch(roomCode) {
+        const room = getRoom(roomCode);
+        if (!room || room.phase !== 'lobby') return;
+        const host = room.players.find((p) => p.id === room.hostId);
+        if (!host?.socketId) return;
+        while (room.players.length < 2) addBot(room.code, host.socketId);
+
+        const { error } = startGame(room.code, host.socketId);
+        if (error) return;
+        room.game.turnStartedAt = Date.now();
+        io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+        broadcastGameState(io, room);
+        startTurnTimer(io, room);
+    }
+
+    /** Form every match a group can make: full tables now, partial ones after the wait. */
+    function matchGroup(key) {
+        // Drop anyone who went away or sat down somewhere else meanwhile
+        let entries = (groups.get(key) || []).filter((e) =>
+            io.sockets.sockets.has(e.socketId) && !getRoomBySocket(e.socketId));
+        const size = entries[0]?.players;
+
+        while (entries.length >= size) {
+            formMatch(key, entries.slice(0, size), 0);
+            entries = entries.slice(size);
+        }
+
+        const oldest = entries[0];
+        if (oldest && Date.now() - oldest.joinedAt >= config.fillAfterMs) {
+            if (entries.every((e) => e.allowBots)) {
+                formMatch(key, entries, size - entries.length);
+                entries = [];
+            } else if (entries.length >= 2) {
+                formMatch(key, entries, 0);
+                entries = [];
+            }
+        }
+
+        if (entries.length) groups.set(key, entries);
+        else groups.delete(key);
+        sendStatus(key);
+    }
+
+    const ticker = setInterval(() => {
+        for (const key of [...groups.keys()]) matchGroup(key);
+    }, config.tickMs);
+    ticker.unref();
+
+    return {
+        /** Put `socket` in the queue for the game `prefs` describes. */
+        queue(socket, { nickname, players = 4, variant = 'classic', allowBots = true }) {
+            if (getRoomBySocket(socket.id)) return { ok: false, error: 'Leave your room before queueing.' };
+            if (!(variant in MATCH_VARIANTS)) return { ok: false, error: 'Unknown game variant.' };
+            removeEntry(socket.id); // queueing again replaces the old preferences
+
+            const key = `${players}:${variant}`;
+            const entry = { socketId: socket.id, nickname, players, variant, allowBots, joinedAt: Date.now() };
+            groups.set(key, [...(groups.get(key) || []), entry]);
+            const status = statusFor(key, entry, entry.joinedAt);
+            matchGroup(key);
+            return { ok: true, ...status };
+        },
+
+        /** Take `socket` out of the queue; false if it wasn't queued. */
+        leave(socket) {
+            return removeEntry(socket.id);
+        },
+    };
+}
+
+module.exports = { createMatchmaker, MATCH_VARIANTS, MATCH_DEFAULTS };
@@ -0,0 +1,151 @@
+/**
+ * Color Clash – Player Profiles
+ * Lightweight persistent profiles: a client signs in with the secret token it
+ * was given the first time (profile:signIn) and every finished game it plays
+ * is added to that profile's stats and Elo rating. Profiles are kept in
+ * memory and, once loadProfiles has pointed them at a file, written back to
+ * it after every change.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const START_RATING = 1000;
+const ELO_K = 32; // most a rating can move in one game
+
+const profiles = new Map(); // profileId → profile
+const byToken = new Map();  // token hash → profileId
+let file = null;            // see loadProfiles
+
+/** Tokens are only stored hashed, so the file alone can't sign anyone in */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Keep profiles in `profileFile` (JSON), loading any already there. */
+function loadProfiles(profileFile) {
+    file = profileFile;
+    profiles.clear();
+    byToken.clear();
+    if (!fs.existsSync(file)) return;
+    for (const profile of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+        profiles.set(profile.id, profile);
+        byToken.set(profile.tokenHash, profile.id);
+    }
+}
+
+function saveProfiles() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify([...profiles.values()]));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * The profile for `token`, or a new one (with a new token) if it's missing
+ * or unknown. A nickname, if given, replaces the stored one.
+ * @returns {{ profile: object, token: string }}
+ */
+function signIn(token, nickname) {
+    let profile = token ? profiles.get(byToken.get(hashToken(token))) : null;
+    if (!profile) {
+        token = crypto.randomBytes(24).toString('base64url');
+        profile = {
+            id: uuidv4(),
+            tokenHash: hashToken(token),
+            nickname: 'Player',
+            createdAt: Date.now(),
+            rating: START_RATING,
+            games: 0,
+            wins: 0,
+            rankTotal: 0, // sum of finishing ranks, for the average
+            cardsPlayed: 0,
+            drawFours: 0,
+            clashPenalties: 0,
+        };
+        profiles.set(profile.id, profile);
+        byToken.set(profile.tokenHash, profile.id);
+    }
+    const name = (nickname || '').trim().slice(0, 20);
+    if (name) profile.nickname = name;
+    saveProfiles();
+    return { profile, token };
+}
+
+/** Return a profile by id. */
+function getProfile(id) {
+    return profiles.get(id);
+}
+
+/** What anyone may see of a profile */
+function publicStats(profile) {
+    return {
+        id: profile.id,
+        nickname: profile.nickname,
+        rating: Math.round(profile.rating),
+        games: profile.games,
+        wins: profile.wins,
+        averageRank: profile.games ? +(profile.rankTotal / profile.games).toFixed(2) : null,
+        cardsPlayed: profile.cardsPlayed,
+        drawFours: profile.drawFours,
+        clashPenalties: profile.clashPenalties,
+    };
+}
+
+/** Profiles that have played at least once, best rating first */
+function leaderboard({ limit = 20 } = {}) {
+    return [...profiles.values()]
+        .filter((p) => p.games > 0)
+        .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+        .slice(0, limit)
+        .map((p, i) => ({ rank: i + 1, ...publicStats(p) }));
+}
+
+/**
+ * Add a finished game to its players' profiles. `placements` holds one
+ * { profileId, rank, cardsPlayed, drawFours, clashPenalties } per profiled
+ * player (rank 1 won; shared ranks are ties).
+ *
+ * Ratings are multiplayer Elo: every pair of players is scored as a game
+ * of its own (1 for finishing ahead, ½ for a tie) and each player moves by
+ * ELO_K spread over the opponents they had.
+ */
+function recordGame(placements) {
+    const seated = placements
+        .map((place) => ({ ...place, profile: profiles.get(place.profileId) }))
+        .filter((place) => place.profile);
+
+    const deltas = seated.map((me) => {
+        const opponents = seated.filter((other) => other !== me);
+        if (opponents.length === 0) return 0;
+        const total = opponents.reduce((sum, other) => {
+            const expected = 1 / (1 + 10 ** ((other.profile.rating - me.profile.rating) / 400));
+            const actual = me.rank < other.rank ? 1 : me.rank === other.rank ? 0.5 : 0;
+            return sum + actual - expected;
+        }, 0);
+        return (ELO_K / opponents.length) * total;
+    });
+
+    seated.forEach(({ profile, rank, cardsPlayed, drawFours, clashPenalties }, i) => {
+        profile.rating += deltas[i];
+        profile.games += 1;
+        if (rank === 1) profile.wins += 1;
+        profile.rankTotal += rank;
+        profile.cardsPlayed += cardsPlayed || 0;
+        profile.drawFours += drawFours || 0;
+        profile.clashPenalties += clashPenalties || 0;
+    });
+    if (seated.length) saveProfiles();
+}
+
+module.exports = {
+    loadProfiles,
+    signIn,
+    getProfile,
+    publicStats,
+    leaderboard,
+    recordGame,
+    START_RATING,
+};
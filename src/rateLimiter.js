@@ -0,0 +1,132 @@
+/**
+ * Color Clash – Socket Rate Limiting
+ * Token buckets for socket events. Each event spends from the budget named
+ * by its namespace (`chat:*`, `room:*`, `game:*`, `lobby:*`, `match:*`,
+ * `profile:*`, `tournament:*`); `room:create` also spends from a slow budget
+ * so nobody can open rooms in a loop. Budgets are per socket, and with
+ * TRUST_PROXY set also per client IP: without it every client behind a proxy
+ * would look like the proxy and share one budget. Rejected events are answered with
+ * { ok: false, code: 'RATE_LIMITED' } plus a `rate:limited` notice, and a
+ * socket that keeps hammering after that is disconnected.
+ */
+
+// A bucket holds up to `capacity` tokens and regains `refillPerSec` a second
+const RATE_LIMITS = {
+    chat: { capacity: 5, refillPerSec: 1 },
+    room: { capacity: 10, refillPerSec: 0.5 },
+    game: { capacity: 20, refillPerSec: 5 },
+    lobby: { capacity: 5, refillPerSec: 0.5 },
+    match: { capacity: 5, refillPerSec: 0.5 },
+    profile: { capacity: 3, refillPerSec: 0.1 },
+    tournament: { capacity: 5, refillPerSec: 0.5 },
+    roomCreate: { capacity: 3, refillPerSec: 1 / 60 }, // per IP, else per socket
+    ipMultiplier: 4, // an IP gets this many sockets' worth of each budget
+    strikes: { capacity: 10, refillPerSec: 0.1 },     // rejections before a disconnect
+};
+
+const SWEEP_INTERVAL_MS = 60000; // drop buckets that have refilled to full
+
+/** Take one token from `bucket` if it has one; refills first. */
+function take(bucket, { capacity, refillPerSec }, now) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.at) / 1000) * refillPerSec);
+    bucket.at = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+}
+
+/** How long until `bucket` has a token again */
+function retryAfterMs(bucket, { refillPerSec }) {
+    return Math.ceil(((1 - bucket.tokens) / refillPerSec) * 1000);
+}
+
+/** The client's address from X-Forwarded-For, or null unless TRUST_PROXY is set */
+function clientIp(socket) {
+    if (!process.env.TRUST_PROXY) return null;
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+/**
+ * A rate limiter for one server. `limits` overrides any of RATE_LIMITS.
+ * Wrap handlers with `guard(socket, event, handler)` and call
+ * `forget(socket)` when the socket disconnects.
+ */
+function createRateLimiter(limits = {}) {
+    const config = { ...RATE_LIMITS, ...limits };
+    const buckets = new Map(); // key → { tokens, at, limit }
+
+    function bucketFor(key, limit, now) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: limit.capacity, at: now, limit };
+            buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    /** The buckets `event` spends from: per socket, and per IP if we know it */
+    function budgetsFor(socket, event) {
+        const name = event.split(':')[0];
+        const limit = config[name];
+        const ip = clientIp(socket);
+        const budgets = [[`socket:${socket.id}:${name}`, limit]];
+        if (ip) budgets.push([`ip:${ip}:${name}`, { ...limit, capacity: limit.capacity * config.ipMultiplier }]);
+        if (event === 'room:create') {
+            budgets.push([ip ? `ip:${ip}:roomCreate` : `socket:${socket.id}:roomCreate`, config.roomCreate]);
+        }
+        return budgets;
+    }
+
+    /** Spend for `event`; returns null if allowed, else the bucket that ran dry */
+    function spend(socket, event, now) {
+        for (const [key, limit] of budgetsFor(socket, event)) {
+            const bucket = bucketFor(key, limit, now);
+            if (!take(bucket, limit, now)) return bucket;
+        }
+        return null;
+    }
+
+    function guard(socket, event, handler) {
+        if (!config[event.split(':')[0]]) throw new Error(`No rate limit for socket event "${event}".`);
+
+        return (...args) => {
+            const now = Date.now();
+            const empty = spend(socket, event, now);
+            if (!empty) return handler(...args);
+
+            const notice = { event, retryAfterMs: retryAfterMs(empty, empty.limit) };
+            const ack = args.findLast((arg) => typeof arg === 'function');
+            if (ack) ack({ ok: false, code: 'RATE_LIMITED', error: 'Slow down! Try again in a moment.', ...notice });
+
+            // Repeat offenders run out of strikes and are cut off
+            const strikes = bucketFor(`socket:${socket.id}:strikes`, config.strikes, now);
+            const disconnect = !take(strikes, config.strikes, now);
+            socket.emit('rate:limited', { ...notice, disconnected: disconnect });
+            if (disconnect) {
+                console.warn(`[rate limit] disconnecting ${socket.id} (${clientIp(socket) ?? socket.handshake.address})`);
+                socket.disconnect(true);
+            }
+        };
+    }
+
+    /** Drop a disconnected socket's buckets (its IP's stay until they refill). */
+    function forget(socket) {
+        for (const key of buckets.keys()) {
+            if (key.startsWith(`socket:${socket.id}:`)) buckets.delete(key);
+        }
+    }
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            const { capacity, refillPerSec } = bucket.limit;
+            if (bucket.tokens + ((now - bucket.at) / 1000) * refillPerSec >= capacity) buckets.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return { guard, forget };
+}
+
+module.exports = { createRateLimiter, RATE_LIMITS };
@@ -0,0 +1,50 @@
+/**
+ * Color Clash – Replay Store
+ * Finished games' action logs, kept in memory for export.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_REPLAYS = 500; // oldest replays are dropped past this
+const replays = new Map(); // replayId → replay (insertion-ordered)
+
+/**
+ * Save the finished game in `room` as a replay. Returns its id.
+ * The header carries everything `replayGame` needs besides the log.
+ */
+function saveReplay(room) {
+    const game = room.game;
+    const id = uuidv4();
+    const players = game.players.map(({ id: playerId, nickname, isBot, team }) => ({
+        id: playerId, nickname, isBot, team: team ?? null,
+    }));
+    // Seat anyone removed mid-game back where they started
+    for (const entry of [...game.log].reverse()) {
+        if (entry.type === 'remove') players.splice(entry.player, 0, entry.seat);
+    }
+    replays.set(id, {
+        id,
+        version: 1,
+        roomCode: room.code,
+        startedAt: game.log[0]?.at ?? null,
+        endedAt: Date.now(),
+        winner: game.winner,
+        seed: game.seed,
+        seedHash: game.seedHash,
+        rules: { ...game.rules },
+        settings: { handSize: game.handSize, clashGraceMs: game.clashGraceMs, decks: game.decks },
+        players,
+        log: game.log,
+    });
+    while (replays.size > MAX_REPLAYS) {
+        replays.delete(replays.keys().next().value);
+    }
+    return id;
+}
+
+/** Return a replay by id. */
+function getReplay(id) {
+    return replays.get(id);
+}
+
+module.exports = { saveReplay, getReplay };
@@ -1,18 +1,87 @@
 /**
  * Color Clash – Room Manager
- * In-memory store with grace-period disconnect support.
+ * Live rooms in memory, snapshotted to a room store after every change so
+ * they can be restored after a restart. Grace-period disconnect support.
+ *
+ * Players are known by a stable public `id`. Their current `socketId` and
+ * the secret session `token` they reconnect with never leave the server
+ * except to the player themselves.
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { createDeck, shuffle, dealCards } = require('./gameEngine');
+const {
+    createGame, createSeed, decksFor, enoughCards, HAND_SIZE, CLASH_GRACE_MS, MAX_DECKS,
+} = require('./gameEngine');
+const { BOT_DIFFICULTIES } = require('./botPlayer');
+const { createNullStore } = require('./roomStore');
+const { postSystemMessage, isChatMuted } = require('./chatManager');
 
 const rooms = new Map();
-const MAX_PLAYERS = 8;
+let store = createNullStore(); // see setRoomStore
+const MAX_PLAYERS = 16; // most seats any room can have
+const MAX_ROOMS = 2000; // open rooms across the whole server
+const roomListeners = []; // see onRoomChange
+
+// Private rooms are joined by code only; public ones are listed in the lobby browser
+const VISIBILITIES = ['private', 'public'];
 
-// Grace period: how long (ms) a player can be offline before being skipped over
-const DISCONNECT_GRACE_MS = 30000;   // 30s — enough for Render cold-start reconnect
 const disconnectTimers = new Map();  // `${roomCode}:${playerId}` → timer handle
 
+// House rules the host can toggle in the lobby (copied into the game on start)
+const DEFAULT_RULES = {
+    stacking: false,   // Draw Two / Wild Draw Four can be answered with another draw card
+    drawFourChallenge: true, // victim of a Wild Draw Four may call a bluff (off while stacking)
+    jumpIn: false,     // an identical card may be played out of turn
+    sevenO: false,     // 7 swaps hands with a chosen player, 0 rotates all hands
+    pointsMode: false, // play rounds, scoring opponents' leftover cards
+    targetScore: 500,  // points mode: first to reach this wins the match
+    spectatorsSeeHands: false, // spectators get every hand, on a delay
+    spectatorDelaySec: 30,     // how far behind the spectator hand view runs
+    teamMode: false,      // the host splits players into teams; seats alternate between them
+    teamAllOut: false,    // team mode: a team wins once every member is out, not just one
+    teamSeeColors: false, // team mode: partners see each other's card counts by color
+    // Optional cards shuffled into the deck (see gameEngine CARD_TYPES)
+    skipEveryone: false, // Skip Everyone: the player goes again
+    discardColor: false, // Discard All: every other card of its color goes too
+    wildShuffle: false,  // Wild Shuffle Hands: all hands are pooled and dealt out again
+    drawColor: false,    // Wild Draw Color: the next player draws until the chosen color turns up
+};
+const MAX_TEAMS = 4;
+// Allowed range for each numeric rule
+const RULE_BOUNDS = {
+    targetScore: [100, 5000],
+    spectatorDelaySec: [10, 300],
+};
+
+// Table pacing the host can tune in the lobby
+const DEFAULT_SETTINGS = {
+    turnTimeoutSec: 25,  // a human's turn before they auto-draw
+    graceSec: 30,        // offline time before the seat is vacated; covers a Render cold start
+    maxPlayers: 8,       // hosts can open up to MAX_PLAYERS seats
+    handSize: HAND_SIZE, // cards dealt to each player
+    decks: 'auto',       // 108-card decks to deal from; 'auto' picks by table size (see decksFor)
+    clashGraceSec: CLASH_GRACE_MS / 1000, // time to call Color Clash before anyone can accuse
+    afkTimeouts: 2,      // turns timed out in a row before a player is marked AFK
+    afkTurnSec: 8,       // an AFK player's shorter turn; timing out again vacates the seat
+    afkAction: 'autopilot', // what happens to a vacated seat: a bot plays it, or it's removed
+};
+// Allowed range for each numeric setting (16 hands of 12 still fit in MAX_DECKS decks)
+const SETTING_BOUNDS = {
+    turnTimeoutSec: [5, 120],
+    graceSec: [10, 300],
+    maxPlayers: [2, MAX_PLAYERS],
+    handSize: [3, 12],
+    clashGraceSec: [1, 15],
+    afkTimeouts: [1, 10],
+    afkTurnSec: [3, 60],
+};
+// Allowed values for each other setting
+const SETTING_CHOICES = {
+    afkAction: ['autopilot', 'remove'],
+    decks: ['auto', ...Array.from({ length: MAX_DECKS }, (_, i) => i + 1)],
+};
+
 function generateRoomCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
     let code;
@@ -24,131 +93,432 @@ function generateRoomCode() {
     return code;
 }
 
-/** Create a new room. */
-function createRoom(socketId, nickname) {
+/**
+ * Create a new room. The creator's player is `room.players[0]`.
+ * A non-empty `password` is then needed to join or watch it.
+ */
+function createRoom(socketId, nickname, { visibility = 'private', password } = {}) {
+    if (rooms.size >= MAX_ROOMS) return { error: 'Too many open rooms right now. Try again later.' };
+    if (!VISIBILITIES.includes(visibility)) return { error: 'Unknown room visibility.' };
     const code = generateRoomCode();
     const player = makePlayer(socketId, nickname);
     const room = {
-        code, hostId: socketId,
+        code, hostId: player.id,
         players: [player],
         phase: 'lobby',
-        game: null, chat: [],
+        visibility,
+        password: hashPassword(password), // { salt, hash } or null
+        rules: { ...DEFAULT_RULES },
+        settings: { ...DEFAULT_SETTINGS },
+        spectators: [],
+        game: null,
+        chat: [], chatMuted: [], // chatMuted: player ids the host has muted
     };
     rooms.set(code, room);
-    return room;
+    persistRoom(room);
+    return { room };
 }
 
-/** Join an existing room. */
-function joinRoom(socketId, roomCode, nickname) {
+/** Join an existing room. `systemMessage` is the chat line announcing it. */
+function joinRoom(socketId, roomCode, nickname, password) {
     const room = rooms.get(roomCode.toUpperCase());
     if (!room) return { error: 'Room not found.' };
     if (room.phase !== 'lobby') return { error: 'Game already in progress.' };
-    if (room.players.length >= MAX_PLAYERS)
-        return { error: `Room is full (max ${MAX_PLAYERS} players).` };
+    if (room.players.length >= room.settings.maxPlayers)
+        return { error: `Room is full (max ${room.settings.maxPlayers} players).` };
 
-    const existing = room.players.find((p) => p.id === socketId);
-    if (existing) return { room };
+    const existing = room.players.find((p) => p.socketId === socketId);
+    if (existing) return { room, player: existing };
+    const passwordError = checkPassword(room, password);
+    if (passwordError) return { error: passwordError };
 
-    room.players.push(makePlayer(socketId, nickname));
-    return { room };
+    // A spectator taking a free seat stops spectating
+    room.spectators = room.spectators.filter((s) => s.socketId !== socketId);
+    const player = makePlayer(socketId, nickname);
+    room.players.push(player);
+    const systemMessage = postSystemMessage(room, `${player.nickname} joined.`);
+    persistRoom(room);
+    return { room, player, systemMessage };
+}
+
+/** Watch a room (any phase) without taking a seat. */
+function spectateRoom(socketId, roomCode, nickname, password) {
+    const room = rooms.get(roomCode?.toUpperCase());
+    if (!room) return { error: 'Room not found.' };
+    if (room.players.some((p) => p.socketId === socketId))
+        return { error: 'You are already playing in this room.' };
+    let spectator = room.spectators.find((s) => s.socketId === socketId);
+    if (!spectator) {
+        const passwordError = checkPassword(room, password);
+        if (passwordError) return { error: passwordError };
+        const { id, nickname: name } = makePlayer(socketId, nickname);
+        spectator = { id, socketId, nickname: name };
+        room.spectators.push(spectator);
+        persistRoom(room);
+    }
+    return { room, spectator };
+}
+
+/** True if the public id `memberId` is watching `room` rather than playing. */
+function isSpectator(room, memberId) {
+    return room.spectators.some((s) => s.id === memberId);
+}
+
+/**
+ * Public id of whoever is on `socketId` in `room` — player or spectator —
+ * or null if the socket isn't in the room.
+ */
+function memberIdFor(room, socketId) {
+    if (!room) return null;
+    const member = room.players.find((p) => p.socketId === socketId) ||
+        room.spectators.find((s) => s.socketId === socketId);
+    return member ? member.id : null;
+}
+
+/** True if `socketId` belongs to the host of `room`. */
+function isHost(room, socketId) {
+    return memberIdFor(room, socketId) === room.hostId;
+}
+
+/** socket.io channel for a room's spectators (delayed all-hands view). */
+function spectatorChannel(roomCode) {
+    return `${roomCode}:spectators`;
 }
 
-/** Mark player disconnected; start grace timer. */
-function leaveRoom(socketId, io) {
-    for (const [code, room] of rooms.entries()) {
-        const idx = room.players.findIndex((p) => p.id === socketId);
+/**
+ * Mark player disconnected; start grace timer. A socket can sit in one room and
+ * watch others, so this handles every room it is in and returns one result
+ * per room.
+ * `onTakeover(room, player)` runs if their grace period runs out mid-game.
+ */
+function leaveRoom(socketId, io, onTakeover) {
+    const results = [];
+    for (const [code, room] of [...rooms.entries()]) {
+        const spectatorIdx = room.spectators.findIndex((s) => s.socketId === socketId);
+        if (spectatorIdx !== -1) {
+            room.spectators.splice(spectatorIdx, 1);
+            persistRoom(room);
+            results.push({ room, code, spectator: true });
+            continue;
+        }
+
+        const idx = room.players.findIndex((p) => p.socketId === socketId);
         if (idx === -1) continue;
 
+        let systemMessage = null;
         if (room.phase === 'lobby') {
             // Remove immediately from lobby
-            room.players.splice(idx, 1);
-            if (room.players.length === 0) {
-                rooms.delete(code);
-                return { deleted: true, code };
+            systemMessage = removeFromLobby(room, room.players[idx]);
+            if (!systemMessage) {
+                results.push({ deleted: true, code });
+                continue;
             }
-            if (room.hostId === socketId && room.players.length > 0)
-                room.hostId = room.players[0].id;
         } else {
-            // ── Game phase: grace period before skipping ──────────────────
-            room.players[idx].isConnected = false;
-
-            const timerKey = `${code}:${socketId}`;
-            // Start grace timer — if they don't reconnect, skip their turns
-            const handle = setTimeout(() => {
-                disconnectTimers.delete(timerKey);
-                // Player still offline after grace period — they stay in the
-                // player list (so the game can continue) but keep isConnected=false.
-                // The turn timer in socketHandlers already skips offline players.
-                if (io && room.game) {
-                    io.to(code).emit('room:updated', sanitizeRoomPublic(room));
-                }
-            }, DISCONNECT_GRACE_MS);
-            disconnectTimers.set(timerKey, handle);
+            // ── Game phase: grace period before a bot takes the seat ──────
+            const player = room.players[idx];
+            player.isConnected = false;
+            player.socketId = null;
+            reassignHost(room);
+            startGracePeriod(io, room, player, onTakeover);
         }
 
-        return { room, code };
+        persistRoom(room);
+        results.push({ room, code, systemMessage });
+    }
+    return results;
+}
+
+/**
+ * Take `player` out of a lobby (or a finished game), handing the host role
+ * on if needed. Returns
+ * the chat line announcing it, or null if that emptied the room (bots alone
+ * don't keep a room open) and it was deleted.
+ */
+function removeFromLobby(room, player) {
+    room.players.splice(room.players.indexOf(player), 1);
+    if (!room.players.some((p) => !p.isBot)) {
+        deleteRoom(room.code);
+        return null;
+    }
+    reassignHost(room);
+    return postSystemMessage(room, `${player.nickname} left.`);
+}
+
+/**
+ * A member leaves on purpose (room:leave). Spectators, and players outside a
+ * running game, are gone straight away: returns { room, systemMessage },
+ * { room, spectator: true } or { deleted: true } as leaveRoom does. A
+ * running game must deal the player out first, so that returns
+ * { room, player, inGame: true } for the caller (see gameActions.removeFromGame).
+ */
+function quitRoom(roomCode, socketId) {
+    const room = rooms.get(roomCode?.toUpperCase());
+    if (!room) return { error: 'Room not found.' };
+    const spectatorIdx = room.spectators.findIndex((s) => s.socketId === socketId);
+    if (spectatorIdx !== -1) {
+        room.spectators.splice(spectatorIdx, 1);
+        persistRoom(room);
+        return { room, spectator: true };
     }
-    return {};
+    const player = room.players.find((p) => p.socketId === socketId);
+    if (!player) return { error: 'You are not in this room.' };
+    if (room.phase === 'game') return { room, player, inGame: true };
+
+    const systemMessage = removeFromLobby(room, player);
+    if (!systemMessage) return { deleted: true };
+    persistRoom(room);
+    return { room, systemMessage };
+}
+
+/**
+ * Move the host role on if the host has left, gone offline or been handed
+ * to a bot: it goes to the human who has been connected the longest. An
+ * absent host keeps it while nobody else is around to take it.
+ */
+function reassignHost(room) {
+    const host = room.players.find((p) => p.id === room.hostId);
+    if (host && host.isConnected && !host.botDifficulty) return;
+    const humans = room.players.filter((p) => !p.isBot);
+    const present = humans.filter((p) => p.isConnected && !p.botDifficulty);
+    const candidates = present.length || host ? present : humans;
+    const next = candidates.reduce((a, b) => (b.connectedAt < a.connectedAt ? b : a), candidates[0]);
+    if (next) room.hostId = next.id;
+}
+
+/** Host hands the host role to another player (any phase). */
+function transferHost(roomCode, hostSocketId, targetPlayerId) {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can hand over hosting.' };
+    const target = room.players.find((p) => p.id === targetPlayerId);
+    if (!target) return { error: 'Player not found.' };
+    if (target.id === room.hostId) return { error: 'You are already the host.' };
+    if (target.isBot) return { error: 'Bots cannot host.' };
+    if (!target.isConnected || target.botDifficulty) return { error: 'That player is away right now.' };
+
+    room.hostId = target.id;
+    const systemMessage = postSystemMessage(room, `${target.nickname} is now the host.`);
+    persistRoom(room);
+    return { room, systemMessage };
+}
+
+/**
+ * Give an offline player the room's grace period to reconnect. After that a
+ * running game hands their seat to `onTakeover(room, player)` (see
+ * gameActions.vacateSeat); a lobby or a finished game drops them, and a
+ * finished game nobody is still connected to is deleted.
+ */
+function startGracePeriod(io, room, player, onTakeover) {
+    const timerKey = `${room.code}:${player.id}`;
+    const handle = setTimeout(() => {
+        disconnectTimers.delete(timerKey);
+        if (room.phase !== 'game') {
+            const systemMessage = removeFromLobby(room, player);
+            if (!systemMessage) return;
+            if (room.phase === 'results' && !room.players.some((p) => !p.isBot && p.isConnected)) {
+                deleteRoom(room.code);
+                return;
+            }
+            persistRoom(room);
+            if (io) {
+                io.to(room.code).emit('room:updated', sanitizeRoomPublic(room));
+                io.to(room.code).emit('chat:message', systemMessage);
+            }
+        } else if (room.game && onTakeover) {
+            onTakeover(room, player);
+        }
+    }, room.settings.graceSec * 1000);
+    disconnectTimers.set(timerKey, handle);
 }
 
 /** Host kicks a player (lobby only). */
-function kickPlayer(roomCode, hostSocketId, targetSocketId) {
+function kickPlayer(roomCode, hostSocketId, targetPlayerId) {
     const room = rooms.get(roomCode);
     if (!room) return { error: 'Room not found.' };
-    if (room.hostId !== hostSocketId) return { error: 'Only the host can kick players.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can kick players.' };
     if (room.phase !== 'lobby') return { error: 'Cannot kick during a game.' };
-    const idx = room.players.findIndex((p) => p.id === targetSocketId);
+    const idx = room.players.findIndex((p) => p.id === targetPlayerId);
     if (idx === -1) return { error: 'Player not found.' };
-    room.players.splice(idx, 1);
+    const [kicked] = room.players.splice(idx, 1);
+    const systemMessage = postSystemMessage(room, `${kicked.nickname} was removed by the host.`);
+    persistRoom(room);
+    return { room, kicked, systemMessage };
+}
+
+/** Host adds a server-driven bot seat (lobby only). */
+function addBot(roomCode, hostSocketId, difficulty = 'normal') {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can add bots.' };
+    if (room.phase !== 'lobby') return { error: 'Bots can only be added in the lobby.' };
+    if (!BOT_DIFFICULTIES.includes(difficulty)) return { error: 'Unknown bot difficulty.' };
+    if (room.players.length >= room.settings.maxPlayers)
+        return { error: `Room is full (max ${room.settings.maxPlayers} players).` };
+
+    const botNumber = room.players.filter((p) => p.isBot).length + 1;
+    const bot = makePlayer(null, `Bot ${botNumber}`);
+    bot.id = `bot:${bot.id}`;
+    bot.token = null; // nobody reconnects as a bot
+    bot.isBot = true;
+    bot.botDifficulty = difficulty;
+    room.players.push(bot);
+    persistRoom(room);
+    return { room, bot };
+}
+
+/**
+ * Host lists or unlists the room, and sets or clears (with '') its password.
+ * Leaving `password` out keeps the current one.
+ */
+function updateVisibility(roomCode, hostSocketId, { visibility, password }) {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can change who can join.' };
+    if (visibility !== undefined && !VISIBILITIES.includes(visibility))
+        return { error: 'Unknown room visibility.' };
+
+    if (visibility !== undefined) room.visibility = visibility;
+    if (password !== undefined) room.password = hashPassword(password);
+    persistRoom(room);
+    return { room };
+}
+
+/** Host changes house rules (lobby only). Unknown keys are ignored. */
+function updateRules(roomCode, hostSocketId, rules) {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can change rules.' };
+    if (room.phase !== 'lobby') return { error: 'Rules are locked once the game starts.' };
+
+    const next = { ...room.rules };
+    for (const key of Object.keys(DEFAULT_RULES)) {
+        if (!rules || !(key in rules)) continue;
+        if (typeof DEFAULT_RULES[key] === 'boolean') {
+            next[key] = !!rules[key];
+            continue;
+        }
+        const [min, max] = RULE_BOUNDS[key];
+        const value = Number(rules[key]);
+        if (!Number.isInteger(value) || value < min || value > max)
+            return { error: `${key} must be between ${min} and ${max}.` };
+        next[key] = value;
+    }
+    room.rules = next;
+    persistRoom(room);
+    return { room };
+}
+
+/** Host changes the table's pacing and size (lobby only). Unknown keys are ignored. */
+function updateSettings(roomCode, hostSocketId, settings) {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can change settings.' };
+    if (room.phase !== 'lobby') return { error: 'Settings are locked once the game starts.' };
+
+    const next = { ...room.settings };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        if (!settings || !(key in settings)) continue;
+        if (SETTING_CHOICES[key]) {
+            if (!SETTING_CHOICES[key].includes(settings[key]))
+                return { error: `${key} must be one of: ${SETTING_CHOICES[key].join(', ')}.` };
+            next[key] = settings[key];
+            continue;
+        }
+        const [min, max] = SETTING_BOUNDS[key];
+        const value = Number(settings[key]);
+        if (!Number.isInteger(value) || value < min || value > max)
+            return { error: `${key} must be between ${min} and ${max}.` };
+        next[key] = value;
+    }
+    if (next.maxPlayers < room.players.length)
+        return { error: `There are already ${room.players.length} players in the room.` };
+    room.settings = next;
+    persistRoom(room);
+    return { room };
+}
+
+/** Host puts a player on team 1…MAX_TEAMS, or takes them off with null (lobby only). */
+function setTeam(roomCode, hostSocketId, targetPlayerId, team) {
+    const room = rooms.get(roomCode);
+    if (!room) return { error: 'Room not found.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can pick teams.' };
+    if (room.phase !== 'lobby') return { error: 'Teams are locked once the game starts.' };
+    const target = room.players.find((p) => p.id === targetPlayerId);
+    if (!target) return { error: 'Player not found.' };
+    if (team !== null && !(Number.isInteger(team) && team >= 1 && team <= MAX_TEAMS))
+        return { error: `Team must be between 1 and ${MAX_TEAMS}.` };
+
+    target.team = team;
+    persistRoom(room);
     return { room };
 }
 
+/**
+ * Team mode seating: the teams' members take turns, so no two teammates sit
+ * next to each other. Returns { players } in seat order, or { error }.
+ */
+function seatTeams(room) {
+    if (room.rules.pointsMode) return { error: 'Points mode cannot be played in teams yet.' };
+    if (room.players.some((p) => p.team == null)) return { error: 'Everyone needs a team first.' };
+    const teams = new Map();
+    for (const p of room.players) teams.set(p.team, [...(teams.get(p.team) || []), p]);
+    if (teams.size < 2) return { error: 'Team mode needs at least 2 teams.' };
+    const lineups = [...teams.keys()].sort((a, b) => a - b).map((team) => teams.get(team));
+    if (lineups.some((members) => members.length !== lineups[0].length))
+        return { error: 'Teams must be the same size.' };
+
+    const players = [];
+    for (let seat = 0; seat < lineups[0].length; seat++) {
+        for (const members of lineups) players.push(members[seat]);
+    }
+    return { players };
+}
+
 /** Start the game. */
 function startGame(roomCode, hostSocketId) {
     const room = rooms.get(roomCode);
     if (!room) return { error: 'Room not found.' };
-    if (room.hostId !== hostSocketId) return { error: 'Only the host can start.' };
+    if (!isHost(room, hostSocketId)) return { error: 'Only the host can start.' };
     if (room.players.length < 2) return { error: 'Need at least 2 players.' };
     if (room.phase !== 'lobby') return { error: 'Game already started.' };
+    if (room.rules.teamMode) {
+        const { players, error } = seatTeams(room);
+        if (error) return { error };
+        room.players = players;
+    }
 
-    const deck = shuffle(createDeck());
-    room.game = {
-        phase: 'game',
-        drawPile: deck,
-        discardPile: [],
-        currentPlayerIndex: 0,
-        currentColor: 'red',
-        direction: 1,
-        players: room.players.map((p) => ({ ...p, hand: [], clashSafe: false })),
-        turnStartedAt: Date.now(),
-        winner: null,
-        clashCalledBy: null,
-    };
-    dealCards(room.game);
+    const { handSize } = room.settings;
+    const decks = room.settings.decks === 'auto' ? decksFor(room.players.length, handSize) : room.settings.decks;
+    if (!enoughCards(room.players.length, handSize, decks))
+        return { error: `Not enough cards for ${room.players.length} hands of ${handSize}: add a deck or deal fewer cards.` };
+
+    // Every game is recorded so it can be exported as a replay afterwards,
+    // and shuffled from a secret seed that is revealed when it ends
+    room.game = createGame(room.players, room.rules, {
+        record: true,
+        seed: createSeed(),
+        handSize,
+        clashGraceMs: room.settings.clashGraceSec * 1000,
+        decks,
+    });
     room.phase = 'game';
     room.players = room.game.players;
+    persistRoom(room);
     return { room };
 }
 
 /**
- * Reconnect: remap old socketId → new socketId.
- * Cancels grace timer, marks player online again.
+ * Reconnect: the session `token` handed out on create/join moves its
+ * player onto `newSocketId`. Cancels grace timer, marks player online again.
  */
-function reconnectPlayer(roomCode, oldSocketId, newSocketId, nickname) {
-    const room = rooms.get(roomCode);
+function reconnectPlayer(roomCode, token, newSocketId, nickname) {
+    const room = rooms.get(roomCode?.toUpperCase());
     if (!room) return { error: 'Room not found.' };
 
-    // Find by old ID first, then by nickname (for page-refresh case)
-    let player = room.players.find((p) => p.id === oldSocketId);
-    if (!player && nickname) {
-        player = room.players.find(
-            (p) => p.nickname === nickname.trim() && !p.isConnected
-        );
-    }
-
+    const player = token ? room.players.find((p) => p.token === token) : null;
     if (!player) {
         // No match: treat as fresh join if still in lobby
-        if (room.phase === 'lobby') return joinRoom(newSocketId, roomCode, nickname);
+        if (room.phase === 'lobby') return joinRoom(newSocketId, room.code, nickname);
         return { error: 'Player not found in this game.' };
     }
 
@@ -159,21 +529,19 @@ function reconnectPlayer(roomCode, oldSocketId, newSocketId, nickname) {
         disconnectTimers.delete(timerKey);
     }
 
-    // Remap ID
-    player.id = newSocketId;
+    // The player takes their seat back from any bot, with a clean AFK record
+    player.socketId = newSocketId;
     player.isConnected = true;
-    if (room.hostId === oldSocketId) room.hostId = newSocketId;
-
-    // Keep game.players in sync (they share the same objects after startGame)
-    // but double-check the game array just in case
-    if (room.game) {
-        const gp = room.game.players.find(
-            (p) => p.id === oldSocketId || p.nickname === player.nickname
-        );
-        if (gp) { gp.id = newSocketId; gp.isConnected = true; }
+    if (!player.isBot) {
+        player.botDifficulty = null;
+        player.missedTurns = 0;
+        player.isAfk = false;
     }
+    player.connectedAt = Date.now();
+    reassignHost(room);
 
-    return { room };
+    persistRoom(room);
+    return { room, player };
 }
 
 /** Return a room by code. */
@@ -181,22 +549,138 @@ function getRoom(roomCode) {
     return rooms.get(roomCode?.toUpperCase());
 }
 
+/** Drop a room entirely (e.g. only bots are left playing). */
+function deleteRoom(roomCode) {
+    const room = rooms.get(roomCode);
+    rooms.delete(roomCode);
+    for (const [timerKey, handle] of disconnectTimers) {
+        if (!timerKey.startsWith(`${roomCode}:`)) continue;
+        clearTimeout(handle);
+        disconnectTimers.delete(timerKey);
+    }
+    store.remove(roomCode);
+    if (room) roomListeners.forEach((listener) => listener(room, { deleted: true }));
+}
+
+// ── Lobby browser ───────────────────────────────────────────────────────────
+
+/** What the lobby browser shows for `room`, or null if it isn't listed */
+function publicRoomSummary(room) {
+    if (room.visibility !== 'public' || room.phase !== 'lobby' || !rooms.has(room.code)) return null;
+    if (room.players.length >= room.settings.maxPlayers) return null;
+    const host = room.players.find((p) => p.id === room.hostId);
+    return {
+        code: room.code,
+        hostNickname: host ? host.nickname : null,
+        playerCount: room.players.length,
+        maxPlayers: room.settings.maxPlayers,
+        hasPassword: !!room.password,
+        // House rules that are switched on (plus the target in points mode)
+        rules: Object.keys(DEFAULT_RULES).filter((key) => room.rules[key] === true),
+        targetScore: room.rules.pointsMode ? room.rules.targetScore : null,
+    };
+}
+
+/** One page of public rooms waiting in the lobby, newest first */
+function listPublicRooms({ page = 1, pageSize = 20 } = {}) {
+    const listed = [...rooms.values()].reverse().map(publicRoomSummary).filter(Boolean);
+    return {
+        rooms: listed.slice((page - 1) * pageSize, page * pageSize),
+        page,
+        pageSize,
+        total: listed.length,
+    };
+}
+
+/**
+ * Call `listener(room, { deleted })` whenever a room changes or is deleted
+ * (e.g. to keep lobby browsers up to date).
+ */
+function onRoomChange(listener) {
+    roomListeners.push(listener);
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+
+/** Swap the room store (see roomStore.js). Call before restoreRooms. */
+function setRoomStore(roomStore) {
+    store = roomStore;
+}
+
+/** Snapshot a live room to the store. Call after every change to it. */
+function persistRoom(room) {
+    // Late broadcasts can reach a room that was already dropped
+    if (rooms.get(room.code) !== room) return;
+    store.save(room);
+    roomListeners.forEach((listener) => listener(room, { deleted: false }));
+}
+
+/**
+ * Load the store's rooms back into memory after a restart. Nobody is
+ * connected yet, so each human seat gets a fresh grace period to come back
+ * through room:reconnect. Returns the restored rooms.
+ */
+function restoreRooms(io, onTakeover) {
+    const restored = [];
+    for (const room of store.load()) {
+        // The snapshot holds separate copies; live rooms share the game's array
+        if (room.game) room.players = room.game.players;
+        // Snapshots from before room settings existed get the defaults
+        room.settings = { ...DEFAULT_SETTINGS, ...room.settings };
+        room.spectators = [];
+        rooms.set(room.code, room);
+        for (const player of room.players) {
+            if (player.isBot) continue;
+            player.isConnected = false;
+            player.socketId = null;
+            if (!player.botDifficulty) startGracePeriod(io, room, player, onTakeover);
+        }
+        restored.push(room);
+    }
+    return restored;
+}
+
 /** Return which room a socket is in. */
 function getRoomBySocket(socketId) {
     for (const room of rooms.values()) {
-        if (room.players.find((p) => p.id === socketId)) return room;
+        if (room.players.find((p) => p.socketId === socketId)) return room;
     }
     return null;
 }
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Salted scrypt hash of a room password, or null for no password */
+function hashPassword(password) {
+    if (!password) return null;
+    const salt = crypto.randomBytes(16).toString('hex');
+    return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+}
+
+/** Why `password` doesn't get into `room`, or null if it does */
+function checkPassword(room, password) {
+    if (!room.password) return null;
+    if (!password) return 'This room needs a password.';
+    const expected = Buffer.from(room.password.hash, 'hex');
+    const given = crypto.scryptSync(password, room.password.salt, 32);
+    return crypto.timingSafeEqual(expected, given) ? null : 'Wrong room password.';
+}
+
 function makePlayer(socketId, nickname) {
     return {
-        id: socketId,
+        id: uuidv4(),        // public, stable for the life of the room
+        socketId,            // private: where to send their hand
+        token: crypto.randomBytes(24).toString('base64url'), // private: room:reconnect
         nickname: (nickname || '').trim().slice(0, 20) || 'Player',
         isConnected: true,
+        connectedAt: Date.now(), // since when, for picking a new host
+        isBot: false,
+        team: null,            // team mode: set by the host in the lobby
+        profileId: null,       // signed-in profile their games count for (profile:signIn)
+        botDifficulty: null,   // set while a bot plays this seat
         hand: [],
         clashSafe: false,
+        ignoredIds: [],        // players whose chat they've hidden
     };
 }
 
@@ -206,13 +690,23 @@ function sanitizeRoomPublic(room) {
         code: room.code,
         hostId: room.hostId,
         phase: room.phase,
-        players: room.players.map(({ id, nickname, isConnected }) =>
-            ({ id, nickname, isConnected })),
+        visibility: room.visibility,
+        hasPassword: !!room.password,
+        rules: room.rules,
+        settings: room.settings,
+        players: room.players.map(({ id, nickname, isConnected, isBot, botDifficulty, team, profileId }) => ({
+            id, nickname, isConnected, isBot, botControlled: !!botDifficulty, team, profileId: profileId ?? null,
+            chatMuted: isChatMuted(room, id),
+        })),
+        spectators: room.spectators.map(({ id, nickname }) => ({ id, nickname })),
     };
 }
 
 module.exports = {
-    createRoom, joinRoom, leaveRoom, kickPlayer,
-    startGame, reconnectPlayer, getRoom, getRoomBySocket,
-    rooms, MAX_PLAYERS,
+    createRoom, joinRoom, leaveRoom, quitRoom, kickPlayer, reassignHost, transferHost, setTeam, addBot, updateRules, updateSettings, updateVisibility,
+    startGame, reconnectPlayer, getRoom, getRoomBySocket, deleteRoom,
+    spectateRoom, isSpectator, memberIdFor, isHost, spectatorChannel,
+    setRoomStore, persistRoom, restoreRooms,
+    publicRoomSummary, listPublicRooms, onRoomChange, sanitizeRoomPublic,
+    rooms, MAX_PLAYERS, MAX_ROOMS, MAX_TEAMS, DEFAULT_RULES, DEFAULT_SETTINGS,
 };
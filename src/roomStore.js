@@ -0,0 +1,74 @@
+/**
+ * Color Clash – Room Stores
+ * Where room snapshots live so live games survive a restart. A store has
+ * three methods: save(room), remove(code) and load() → rooms. The room
+ * manager saves after every change and loads once on boot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps nothing, so nothing survives a restart. The default: there is no
+ * point serializing every room on every change just to hold it in memory.
+ */
+function createNullStore() {
+    return {
+        save() {},
+        remove() {},
+        load() {
+            return [];
+        },
+    };
+}
+
+/** Keeps snapshots in memory, e.g. to fake a restart in tests. */
+function createMemoryStore() {
+    const snapshots = new Map(); // roomCode → JSON snapshot
+
+    return {
+        save(room) {
+            snapshots.set(room.code, JSON.stringify(room));
+        },
+        remove(code) {
+            snapshots.delete(code);
+        },
+        load() {
+            return [...snapshots.values()].map((json) => JSON.parse(json));
+        },
+    };
+}
+
+/**
+ * One JSON file per room in `dir`. Each write goes to a temp file that is
+ * then renamed over the old snapshot, so a crash mid-write can't corrupt it.
+ */
+function createFileStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileFor = (code) => path.join(dir, `${code}.json`);
+
+    return {
+        save(room) {
+            const file = fileFor(room.code);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(room));
+            fs.renameSync(`${file}.tmp`, file);
+        },
+        remove(code) {
+            fs.rmSync(fileFor(code), { force: true });
+        },
+        load() {
+            const rooms = [];
+            for (const name of fs.readdirSync(dir)) {
+                if (!name.endsWith('.json')) continue;
+                try {
+                    rooms.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+                } catch (err) {
+                    console.warn(`[roomStore] skipping unreadable snapshot ${name}: ${err.message}`);
+                }
+            }
+            return rooms;
+        },
+    };
+}
+
+module.exports = { createNullStore, createMemoryStore, createFileStore };
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { getRoom } = require('../roomManager');
+const { getRoom, listPublicRooms } = require('../roomManager');
+const { getReplay } = require('../replayStore');
+const { getProfile, publicStats, leaderboard } = require('../profileStore');
+const { getTournament, listTournaments, publicTournament } = require('../tournamentManager');
 
 /** Health check */
 router.get('/health', (req, res) => {
@@ -15,7 +18,54 @@ router.get('/room/:code', (req, res) => {
         exists: true,
         phase: room.phase,
         playerCount: room.players.length,
+        hasPassword: !!room.password,
     });
 });
 
+/** Public rooms waiting in the lobby: ?page=1&pageSize=20 (max 50) */
+router.get('/rooms', (req, res) => {
+    const page = Number(req.query.page ?? 1);
+    const pageSize = Number(req.query.pageSize ?? 20);
+    if (!Number.isInteger(page) || page < 1)
+        return res.status(400).json({ error: 'page must be a positive integer.' });
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 50)
+        return res.status(400).json({ error: 'pageSize must be between 1 and 50.' });
+    res.json(listPublicRooms({ page, pageSize }));
+});
+
+/** Download a finished game's replay (action log) */
+router.get('/replays/:id', (req, res) => {
+    const replay = getReplay(req.params.id);
+    if (!replay) return res.status(404).json({ error: 'Replay not found.' });
+    res.attachment(`color-clash-replay-${replay.id}.json`);
+    res.json(replay);
+});
+
+/** A player profile's stats and rating */
+router.get('/players/:id/stats', (req, res) => {
+    const profile = getProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Player not found.' });
+    res.json(publicStats(profile));
+});
+
+/** Highest-rated players who have finished a game: ?limit=20 (max 100) */
+router.get('/leaderboard', (req, res) => {
+    const limit = Number(req.query.limit ?? 20);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100)
+        return res.status(400).json({ error: 'limit must be between 1 and 100.' });
+    res.json({ players: leaderboard({ limit }) });
+});
+
+/** Every tournament, newest first */
+router.get('/tournaments', (req, res) => {
+    res.json({ tournaments: listTournaments() });
+});
+
+/** A tournament's standings and every round's tables and results */
+router.get('/tournaments/:id', (req, res) => {
+    const tournament = getTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ error: 'Tournament not found.' });
+    res.json(publicTournament(tournament));
+});
+
 module.exports = router;
@@ -2,400 +2,488 @@
  * Color Clash – Socket.io Event Handlers
  */
 
-const {
-    isValidPlay,
-    applyCardEffect,
-    drawCards,
-    checkWin,
-    publicGameState,
-    topCard,
-    WILD_TYPES,
-} = require('./gameEngine');
+const { publicGameState } = require('./gameEngine');
 
 const {
     createRoom,
     joinRoom,
     leaveRoom,
+    quitRoom,
     kickPlayer,
+    transferHost,
+    setTeam,
+    addBot,
+    updateRules,
+    updateSettings,
+    updateVisibility,
     startGame,
     reconnectPlayer,
     getRoomBySocket,
     getRoom,
+    spectateRoom,
+    memberIdFor,
+    isHost,
+    spectatorChannel,
+    persistRoom,
+    restoreRooms,
 } = require('./roomManager');
 
-const TURN_TIMEOUT_MS = 25000; // 25 second turn timer
-const turnTimers = new Map(); // socketId → timeout handle
+const {
+    startTurnTimer,
+    broadcastGameState,
+    playCard,
+    drawCard,
+    challengeDrawFour,
+    callClash,
+    accuseClash,
+    vacateSeat,
+    reclaimSeat,
+    removeFromGame,
+} = require('./gameActions');
 
-function clearTurnTimer(roomCode) {
-    if (turnTimers.has(roomCode)) {
-        clearTimeout(turnTimers.get(roomCode));
-        turnTimers.delete(roomCode);
-    }
-}
+const {
+    postMessage,
+    historyFor,
+    isChatMuted,
+    setChatMuted,
+    setIgnored,
+    socketsIgnoring,
+    teammateSockets,
+} = require('./chatManager');
+
+const { signIn, publicStats } = require('./profileStore');
+const {
+    createTournament,
+    registerPlayer,
+    unregisterPlayer,
+    reconnectTournament,
+    startTournament,
+    publicTournament,
+    broadcastTournament,
+    getTournament,
+    channelOf,
+} = require('./tournamentManager');
+const { withSchema } = require('./eventSchemas');
+const { createRateLimiter } = require('./rateLimiter');
+const { createLobbyFeed } = require('./lobbyFeed');
+const { createMatchmaker } = require('./matchmaker');
 
-function startTurnTimer(io, room) {
-    clearTurnTimer(room.code);
-    const handle = setTimeout(() => {
-        // Auto-draw for the current player if time expires
-        const game = room.game;
-        if (!game || game.phase !== 'game') return;
-        const player = game.players[game.currentPlayerIndex];
-        if (!player || !player.isConnected) {
-            // skip disconnected player
-            game.currentPlayerIndex =
-                (game.currentPlayerIndex + game.direction + game.players.length) %
-                game.players.length;
-        } else {
-            drawCards(game, game.currentPlayerIndex, 1);
-            game.currentPlayerIndex =
-                (game.currentPlayerIndex + game.direction + game.players.length) %
-                game.players.length;
-        }
-        game.turnStartedAt = Date.now();
-        broadcastGameState(io, room);
+/**
+ * Wire up every socket event. `options.rateLimits` overrides the default
+ * per-event budgets (see rateLimiter.js), `options.matchmaking` the queue
+ * timings (see matchmaker.js).
+ */
+module.exports = function registerHandlers(io, { rateLimits, matchmaking } = {}) {
+    const limiter = createRateLimiter(rateLimits);
+
+    // Rooms saved before a restart carry on; their turn clocks start afresh
+    const onTakeover = (room, player) => vacateSeat(io, room, player);
+    for (const room of restoreRooms(io, onTakeover)) {
+        if (room.phase !== 'game' || !room.game) continue;
+        room.game.turnStartedAt = Date.now();
         startTurnTimer(io, room);
-    }, TURN_TIMEOUT_MS);
-    turnTimers.set(room.code, handle);
-}
-
-function broadcastGameState(io, room) {
-    const state = publicGameState(room.game);
-    io.to(room.code).emit('game:state', state);
-    // Send private hands
-    for (const player of room.game.players) {
-        io.to(player.id).emit('game:yourHand', player.hand);
     }
-}
-
-/** Emit a real-time game event for the activity feed / toast overlays */
-function emitEvent(io, room, type, payload) {
-    io.to(room.code).emit('game:event', { type, ts: Date.now(), ...payload });
-}
+    const lobbyFeed = createLobbyFeed(io);
+    const matchmaker = createMatchmaker(io, matchmaking);
 
-module.exports = function registerHandlers(io) {
     io.on('connection', (socket) => {
         console.log(`[connected] ${socket.id}`);
 
+        // Every event is rate limited, then validated against its schema
+        const on = (event, handler) =>
+            socket.on(event, limiter.guard(socket, event, withSchema(event, handler)));
+
+        // ──────────────────────────────────────────────
+        // PROFILE: SIGN IN (games played after this count for the profile)
+        // ──────────────────────────────────────────────
+        on('profile:signIn', ({ token, nickname }, ack) => {
+            const { profile, token: profileToken } = signIn(token, nickname);
+            socket.data.profileId = profile.id;
+            ack({ ok: true, token: profileToken, profile: publicStats(profile) });
+        });
+
         // ──────────────────────────────────────────────
         // ROOM: CREATE
         // ──────────────────────────────────────────────
-        socket.on('room:create', ({ nickname }, callback) => {
-            try {
-                const room = createRoom(socket.id, nickname);
-                socket.join(room.code);
-                callback({ ok: true, room: sanitizeRoom(room) });
-                io.to(room.code).emit('room:updated', sanitizeRoom(room));
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('room:create', ({ nickname, visibility, password }, ack) => {
+            const { room, error } = createRoom(socket.id, nickname, { visibility, password });
+            if (error) return ack({ ok: false, error });
+            linkProfile(socket, room, room.players[0]);
+            socket.join(room.code);
+            ack({ ok: true, room: sanitizeRoom(room), ...session(room.players[0]) });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
         });
 
         // ──────────────────────────────────────────────
         // ROOM: JOIN
         // ──────────────────────────────────────────────
-        socket.on('room:join', ({ roomCode, nickname }, callback) => {
-            try {
-                const { room, error } = joinRoom(socket.id, roomCode, nickname);
-                if (error) return callback({ ok: false, error });
-                socket.join(room.code);
-                callback({ ok: true, room: sanitizeRoom(room) });
-                io.to(room.code).emit('room:updated', sanitizeRoom(room));
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('room:join', ({ roomCode, nickname, password }, ack) => {
+            const { room, player, systemMessage, error } = joinRoom(socket.id, roomCode, nickname, password);
+            if (error) return ack({ ok: false, error });
+            linkProfile(socket, room, player);
+            socket.join(room.code);
+            socket.leave(spectatorChannel(room.code));
+            ack({ ok: true, room: sanitizeRoom(room), ...session(player), chat: historyFor(room, player) });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            if (systemMessage) io.to(room.code).emit('chat:message', systemMessage);
         });
 
         // ──────────────────────────────────────────────
-        // ROOM: RECONNECT
+        // ROOM: SPECTATE (watch without a seat, any phase)
         // ──────────────────────────────────────────────
-        socket.on('room:reconnect', ({ roomCode, oldSocketId, nickname }, callback) => {
-            try {
-                const { room, error } = reconnectPlayer(roomCode, oldSocketId, socket.id, nickname);
-                if (error) return callback({ ok: false, error });
-                socket.join(room.code);
-                callback({ ok: true, room: sanitizeRoom(room) });
-                io.to(room.code).emit('room:updated', sanitizeRoom(room));
-                if (room.phase === 'game' && room.game) {
-                    broadcastGameState(io, room);
-                }
-            } catch (err) {
-                callback({ ok: false, error: err.message });
+        on('room:spectate', ({ roomCode, nickname, password }, ack) => {
+            const { room, spectator, error } = spectateRoom(socket.id, roomCode, nickname, password);
+            if (error) return ack({ ok: false, error });
+            socket.join(room.code);
+            socket.join(spectatorChannel(room.code));
+            ack({ ok: true, room: sanitizeRoom(room), spectatorId: spectator.id, chat: historyFor(room) });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            if (room.game) socket.emit('game:state', publicGameState(room.game));
+        });
+
+        // ──────────────────────────────────────────────
+        // ROOM: RECONNECT (with the session token from create/join)
+        // ──────────────────────────────────────────────
+        on('room:reconnect', ({ roomCode, token, nickname }, ack) => {
+            const { room, player, systemMessage, error } =
+                reconnectPlayer(roomCode, token, socket.id, nickname);
+            if (error) return ack({ ok: false, error });
+            linkProfile(socket, room, player);
+            socket.join(room.code);
+            ack({ ok: true, room: sanitizeRoom(room), ...session(player), chat: historyFor(room, player) });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            if (systemMessage) io.to(room.code).emit('chat:message', systemMessage);
+            if (room.phase === 'game' && room.game) {
+                // A bot may have been about to move for them: their own clock takes over
+                const theirTurn = room.game.players[room.game.currentPlayerIndex] === player;
+                if (theirTurn) room.game.turnStartedAt = Date.now();
+                broadcastGameState(io, room);
+                if (theirTurn) startTurnTimer(io, room);
             }
         });
 
         // ──────────────────────────────────────────────
         // ROOM: KICK
         // ──────────────────────────────────────────────
-        socket.on('room:kick', ({ roomCode, targetSocketId }, callback) => {
-            try {
-                const { room, error } = kickPlayer(roomCode, socket.id, targetSocketId);
-                if (error) return callback({ ok: false, error });
-                io.to(targetSocketId).emit('room:kicked');
-                io.to(room.code).emit('room:updated', sanitizeRoom(room));
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('room:kick', ({ roomCode, targetPlayerId }, ack) => {
+            const { room, kicked, systemMessage, error } = kickPlayer(roomCode, socket.id, targetPlayerId);
+            if (error) return ack({ ok: false, error });
+            if (kicked.socketId) io.to(kicked.socketId).emit('room:kicked');
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            io.to(room.code).emit('chat:message', systemMessage);
+            ack({ ok: true });
         });
 
         // ──────────────────────────────────────────────
-        // GAME: START
+        // ROOM: LEAVE (any phase; mid-game the seat is dealt out)
         // ──────────────────────────────────────────────
-        socket.on('game:start', ({ roomCode }, callback) => {
-            try {
-                const { room, error } = startGame(roomCode, socket.id);
-                if (error) return callback({ ok: false, error });
-                room.game.turnStartedAt = Date.now();
-                io.to(room.code).emit('room:updated', sanitizeRoom(room));
-                broadcastGameState(io, room);
-                startTurnTimer(io, room);
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('room:leave', ({ roomCode }, ack) => {
+            const result = quitRoom(roomCode, socket.id);
+            if (result.error) return ack({ ok: false, error: result.error });
+            ack({ ok: true });
+            if (result.deleted) return;
+
+            const room = result.room;
+            socket.leave(room.code);
+            socket.leave(spectatorChannel(room.code));
+            if (result.inGame) return removeFromGame(io, room, result.player, 'left');
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            if (result.systemMessage) io.to(room.code).emit('chat:message', result.systemMessage);
         });
 
         // ──────────────────────────────────────────────
-        // GAME: PLAY CARD
+        // ROOM: HAND THE HOST ROLE TO SOMEONE ELSE
         // ──────────────────────────────────────────────
-        socket.on('game:playCard', ({ roomCode, cardIndex, chosenColor }, callback) => {
-            try {
-                const room = getRoom(roomCode);
-                if (!room || room.phase !== 'game') return callback({ ok: false, error: 'No active game.' });
+        on('room:transferHost', ({ roomCode, targetPlayerId }, ack) => {
+            const { room, systemMessage, error } = transferHost(roomCode, socket.id, targetPlayerId);
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            io.to(room.code).emit('chat:message', systemMessage);
+            ack({ ok: true });
+        });
 
-                const game = room.game;
-                const currentPlayer = game.players[game.currentPlayerIndex];
+        // ──────────────────────────────────────────────
+        // ROOM: PICK TEAMS (host, lobby only)
+        // ──────────────────────────────────────────────
+        on('room:setTeam', ({ roomCode, targetPlayerId, team }, ack) => {
+            const { room, error } = setTeam(roomCode, socket.id, targetPlayerId, team ?? null);
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
+        });
 
-                // Validate turn ownership
-                if (currentPlayer.id !== socket.id)
-                    return callback({ ok: false, error: 'Not your turn.' });
+        // ──────────────────────────────────────────────
+        // ROOM: VISIBILITY & PASSWORD (host)
+        // ──────────────────────────────────────────────
+        on('room:setVisibility', ({ roomCode, visibility, password }, ack) => {
+            const { room, error } = updateVisibility(roomCode, socket.id, { visibility, password });
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
+        });
 
-                // Validate card index
-                const card = currentPlayer.hand[cardIndex];
-                if (!card) return callback({ ok: false, error: 'Invalid card.' });
+        // ──────────────────────────────────────────────
+        // LOBBY BROWSER: LIVE LIST OF PUBLIC ROOMS
+        // ──────────────────────────────────────────────
+        on('lobby:subscribe', ({ pageSize }, ack) => {
+            ack({ ok: true, ...lobbyFeed.subscribe(socket, { pageSize }) });
+        });
 
-                // Validate card play
-                const top = topCard(game);
-                if (!isValidPlay(card, top, game.currentColor))
-                    return callback({ ok: false, error: 'Invalid move.' });
+        on('lobby:unsubscribe', (_, ack) => {
+            lobbyFeed.unsubscribe(socket);
+            ack({ ok: true });
+        });
 
-                // Validate chosen color for wild
-                if (WILD_TYPES.includes(card.type) && !chosenColor)
-                    return callback({ ok: false, error: 'Must choose a color for wild card.' });
+        // ──────────────────────────────────────────────
+        // QUICK PLAY: MATCHMAKING QUEUE
+        // ──────────────────────────────────────────────
+        on('match:queue', (prefs, ack) => {
+            ack(matchmaker.queue(socket, prefs));
+        });
 
-                // Remove card from hand
-                currentPlayer.hand.splice(cardIndex, 1);
-                game.discardPile.push(card);
+        on('match:leave', (_, ack) => {
+            ack({ ok: matchmaker.leave(socket) });
+        });
 
-                // Reset clash safety for current player
-                currentPlayer.clashSafe = false;
-                game.clashCalledBy = null;
+        // ──────────────────────────────────────────────
+        // TOURNAMENTS (see tournamentManager.js)
+        // ──────────────────────────────────────────────
+        on('tournament:create', (options, ack) => {
+            const { tournament, error } = createTournament(options);
+            if (error) return ack({ ok: false, error });
+            socket.join(channelOf(tournament.id));
+            ack({ ok: true, tournament: publicTournament(tournament), organizerToken: tournament.organizerToken });
+        });
 
-                if (currentPlayer.hand.length === 1) {
-                    currentPlayer.lastCardAt = Date.now();
-                } else {
-                    currentPlayer.lastCardAt = null;
-                }
+        on('tournament:register', ({ tournamentId, nickname }, ack) => {
+            const { tournament, player, error } =
+                registerPlayer(tournamentId, socket.id, nickname, socket.data.profileId);
+            if (error) return ack({ ok: false, error });
+            socket.join(channelOf(tournament.id));
+            ack({ ok: true, tournament: publicTournament(tournament), playerId: player.id, token: player.token });
+            broadcastTournament(io, tournament);
+        });
 
-                // Emit event for activity feed
-                const nextIdx = ((game.currentPlayerIndex + game.direction + game.players.length) % game.players.length);
-                const nextPlayer = game.players[nextIdx];
-                if (card.type === 'skip') {
-                    emitEvent(io, room, 'skip', { by: currentPlayer.nickname, skipped: nextPlayer?.nickname });
-                } else if (card.type === 'reverse') {
-                    emitEvent(io, room, 'reverse', { by: currentPlayer.nickname });
-                } else if (card.type === 'draw_two') {
-                    emitEvent(io, room, 'draw_penalty', { by: currentPlayer.nickname, target: nextPlayer?.nickname, count: 2 });
-                } else if (card.type === 'wild_draw_four') {
-                    emitEvent(io, room, 'draw_penalty', { by: currentPlayer.nickname, target: nextPlayer?.nickname, count: 4 });
-                } else if (card.type === 'wild') {
-                    emitEvent(io, room, 'wild', { by: currentPlayer.nickname, color: chosenColor });
-                } else {
-                    emitEvent(io, room, 'play', { by: currentPlayer.nickname, card: { color: card.color, type: card.type, value: card.value } });
-                }
+        on('tournament:unregister', ({ tournamentId, token }, ack) => {
+            const { tournament, error } = unregisterPlayer(tournamentId, token);
+            if (error) return ack({ ok: false, error });
+            ack({ ok: true });
+            broadcastTournament(io, tournament);
+        });
 
-                // Check win BEFORE applying effect (to keep currentPlayerIndex valid)
-                if (checkWin(currentPlayer)) {
-                    game.winner = currentPlayer.nickname;
-                    game.phase = 'results';
-                    room.phase = 'results';
-                    clearTurnTimer(room.code);
-                    broadcastGameState(io, room);
+        on('tournament:reconnect', ({ tournamentId, token }, ack) => {
+            const { tournament, player, table, error } = reconnectTournament(tournamentId, token, socket.id);
+            if (error) return ack({ ok: false, error });
+            socket.join(channelOf(tournament.id));
+            // A running table is rejoined with room:reconnect and the table's session
+            ack({ ok: true, tournament: publicTournament(tournament), playerId: player.id, table });
+        });
 
-                    // Build rankings: winner = rank 1, others by cards held (asc = better)
-                    const losers = game.players
-                        .filter((p) => p.id !== currentPlayer.id)
-                        .sort((a, b) => a.hand.length - b.hand.length);
-                    const rankings = [
-                        { rank: 1, id: currentPlayer.id, nickname: currentPlayer.nickname, cardCount: 0 },
-                        ...losers.map((p, i) => ({
-                            rank: i + 2, id: p.id, nickname: p.nickname, cardCount: p.hand.length,
-                        })),
-                    ];
-
-                    io.to(room.code).emit('game:ended', { winner: currentPlayer.nickname, rankings });
-                    return callback({ ok: true });
-                }
+        on('tournament:watch', ({ tournamentId }, ack) => {
+            const tournament = getTournament(tournamentId);
+            if (!tournament) return ack({ ok: false, error: 'Tournament not found.' });
+            socket.join(channelOf(tournament.id));
+            ack({ ok: true, tournament: publicTournament(tournament) });
+        });
 
-                // Apply effect and advance turn
-                applyCardEffect(game, card, chosenColor);
-                game.turnStartedAt = Date.now();
+        on('tournament:unwatch', ({ tournamentId }, ack) => {
+            socket.leave(channelOf(tournamentId.toUpperCase()));
+            ack({ ok: true });
+        });
 
-                broadcastGameState(io, room);
-                startTurnTimer(io, room);
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('tournament:start', ({ tournamentId, token }, ack) => {
+            const { error } = startTournament(io, tournamentId, token);
+            if (error) return ack({ ok: false, error });
+            ack({ ok: true });
         });
 
         // ──────────────────────────────────────────────
-        // GAME: DRAW CARD
+        // ROOM: ADD BOT (host, lobby only)
         // ──────────────────────────────────────────────
-        socket.on('game:drawCard', ({ roomCode }, callback) => {
-            try {
-                const room = getRoom(roomCode);
-                if (!room || room.phase !== 'game') return callback({ ok: false, error: 'No active game.' });
-
-                const game = room.game;
-                const currentPlayer = game.players[game.currentPlayerIndex];
+        on('room:addBot', ({ roomCode, difficulty }, ack) => {
+            const { room, error } = addBot(roomCode, socket.id, difficulty);
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
+        });
 
-                if (currentPlayer.id !== socket.id)
-                    return callback({ ok: false, error: 'Not your turn.' });
+        // ──────────────────────────────────────────────
+        // ROOM: SET HOUSE RULES (host, lobby only)
+        // ──────────────────────────────────────────────
+        on('room:setRules', ({ roomCode, rules }, ack) => {
+            const { room, error } = updateRules(roomCode, socket.id, rules);
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
+        });
 
-                drawCards(game, game.currentPlayerIndex, 1);
-                const drawn = currentPlayer.hand[currentPlayer.hand.length - 1];
+        // ──────────────────────────────────────────────
+        // ROOM: TABLE SETTINGS — timers, hand size, seats (host, lobby only)
+        // ──────────────────────────────────────────────
+        on('room:updateSettings', ({ roomCode, settings }, ack) => {
+            const { room, error } = updateSettings(roomCode, socket.id, settings);
+            if (error) return ack({ ok: false, error });
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
+        });
 
-                // Advance turn if drawn card is not playable
-                const top = topCard(game);
-                const canPlay = drawn && isValidPlay(drawn, top, game.currentColor);
+        // ──────────────────────────────────────────────
+        // GAME: START
+        // ──────────────────────────────────────────────
+        on('game:start', ({ roomCode }, ack) => {
+            const { room, error } = startGame(roomCode, socket.id);
+            if (error) return ack({ ok: false, error });
+            room.game.turnStartedAt = Date.now();
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            broadcastGameState(io, room);
+            startTurnTimer(io, room);
+            ack({ ok: true });
+        });
 
-                emitEvent(io, room, 'draw', { by: currentPlayer.nickname, canPlay: !!canPlay });
+        // ──────────────────────────────────────────────
+        // GAME: PLAY CARD (by card id, at the state version last seen)
+        // ──────────────────────────────────────────────
+        on('game:playCard', ({ roomCode, ...move }, ack) => {
+            const room = getRoom(roomCode);
+            ack(playCard(io, room, memberIdFor(room, socket.id), move));
+        });
 
-                if (!canPlay) {
-                    game.currentPlayerIndex =
-                        (game.currentPlayerIndex + game.direction + game.players.length) %
-                        game.players.length;
-                }
+        // ──────────────────────────────────────────────
+        // GAME: DRAW CARD
+        // ──────────────────────────────────────────────
+        on('game:drawCard', ({ roomCode, version }, ack) => {
+            const room = getRoom(roomCode);
+            ack(drawCard(io, room, memberIdFor(room, socket.id), version));
+        });
 
-                game.turnStartedAt = Date.now();
-                broadcastGameState(io, room);
-                startTurnTimer(io, room);
-                callback({ ok: true, drew: drawn, canPlay });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        // ──────────────────────────────────────────────
+        // GAME: CHALLENGE A WILD DRAW FOUR
+        // ──────────────────────────────────────────────
+        on('game:challengeDrawFour', ({ roomCode, version }, ack) => {
+            const room = getRoom(roomCode);
+            ack(challengeDrawFour(io, room, memberIdFor(room, socket.id), version));
         });
 
         // ──────────────────────────────────────────────
         // GAME: CALL COLOR CLASH (like "UNO!")
         // ──────────────────────────────────────────────
-        socket.on('game:callClash', ({ roomCode }, callback) => {
-            try {
-                const room = getRoom(roomCode);
-                if (!room || room.phase !== 'game') return callback({ ok: false, error: 'No active game.' });
-                const game = room.game;
-                const player = game.players.find((p) => p.id === socket.id);
-                if (!player) return callback({ ok: false, error: 'Not in game.' });
-                if (player.hand.length !== 1)
-                    return callback({ ok: false, error: 'Can only call Color Clash with 1 card.' });
-
-                player.clashSafe = true;
-                game.clashCalledBy = player.nickname;
-                io.to(room.code).emit('game:clashAlert', { nickname: player.nickname });
-                broadcastGameState(io, room);
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('game:callClash', ({ roomCode, version }, ack) => {
+            const room = getRoom(roomCode);
+            ack(callClash(io, room, memberIdFor(room, socket.id), version));
         });
 
         // ──────────────────────────────────────────────
         // GAME: ACCUSE (didn't call Color Clash)
         // ──────────────────────────────────────────────
-        socket.on('game:accuseClash', ({ roomCode, targetSocketId }, callback) => {
-            try {
-                const room = getRoom(roomCode);
-                if (!room || room.phase !== 'game') return callback({ ok: false, error: 'No active game.' });
-                const game = room.game;
-                const target = game.players.find((p) => p.id === targetSocketId);
-                if (!target) return callback({ ok: false, error: 'Player not found.' });
-                if (target.hand.length !== 1)
-                    return callback({ ok: false, error: 'Target does not have 1 card.' });
-                if (target.clashSafe)
-                    return callback({ ok: false, error: 'Player already called Color Clash.' });
-
-                // Check 5-second grace period
-                if (target.lastCardAt && Date.now() - target.lastCardAt < 5000) {
-                    return callback({ ok: false, error: 'Wait 5 seconds for them to call it!' });
-                }
-
-                // Penalty: draw 2
-                const targetIdx = game.players.indexOf(target);
-                drawCards(game, targetIdx, 2);
-                io.to(room.code).emit('game:accuseResult', {
-                    accuser: game.players.find((p) => p.id === socket.id)?.nickname,
-                    target: target.nickname,
-                    penalty: 2,
-                });
-                broadcastGameState(io, room);
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
-            }
+        on('game:accuseClash', ({ roomCode, targetPlayerId, version }, ack) => {
+            const room = getRoom(roomCode);
+            ack(accuseClash(io, room, memberIdFor(room, socket.id), targetPlayerId, version));
         });
 
         // ──────────────────────────────────────────────
         // CHAT: MESSAGE
         // ──────────────────────────────────────────────
-        socket.on('chat:message', ({ roomCode, text }) => {
+        on('chat:message', ({ roomCode, text }, ack) => {
             const room = getRoom(roomCode);
-            if (!room) return;
-            const player = room.players.find((p) => p.id === socket.id);
-            if (!player) return;
-            const msg = {
-                id: Date.now(),
-                nickname: player.nickname,
-                text: text.slice(0, 200),
-                ts: Date.now(),
-            };
-            room.chat.push(msg);
-            if (room.chat.length > 100) room.chat.shift();
-            io.to(room.code).emit('chat:message', msg);
+            if (!room) return ack({ ok: false, error: 'Room not found.' });
+            const player = room.players.find((p) => p.socketId === socket.id);
+            if (!player) return ack({ ok: false, error: 'Not in this room.' });
+            const { msg, error } = postMessage(room, player, text);
+            if (error) return ack({ ok: false, error });
+            persistRoom(room);
+            io.to(room.code).except(socketsIgnoring(room, player.id)).emit('chat:message', msg);
+            ack({ ok: true });
         });
 
         // ──────────────────────────────────────────────
         // CHAT: EMOJI REACTION
         // ──────────────────────────────────────────────
-        socket.on('chat:emoji', ({ roomCode, emoji }) => {
+        on('chat:emoji', ({ roomCode, emoji }) => {
             const room = getRoom(roomCode);
             if (!room) return;
-            const player = room.players.find((p) => p.id === socket.id);
-            if (!player) return;
-            io.to(room.code).emit('chat:emoji', { nickname: player.nickname, emoji });
+            const player = room.players.find((p) => p.socketId === socket.id);
+            if (!player || isChatMuted(room, player.id)) return;
+            io.to(room.code).except(socketsIgnoring(room, player.id))
+                .emit('chat:emoji', { playerId: player.id, nickname: player.nickname, emoji });
         });
 
         // ──────────────────────────────────────────────
-        // GAME: REMATCH
+        // CHAT: TEAM SIGNAL (team mode; partners only, fixed signals)
         // ──────────────────────────────────────────────
-        socket.on('game:rematch', ({ roomCode }, callback) => {
-            try {
+        on('chat:teamSignal', ({ roomCode, signal }, ack) => {
+            const room = getRoom(roomCode);
+            if (!room || room.phase !== 'game' || !room.game.rules.teamMode)
+                return ack({ ok: false, error: 'No team game running.' });
+            const player = room.players.find((p) => p.socketId === socket.id);
+            if (!player) return ack({ ok: false, error: 'Not in this game.' });
+            const partners = teammateSockets(room, player);
+            if (partners.length) {
+                io.to(partners).emit('chat:teamSignal',
+                    { playerId: player.id, nickname: player.nickname, signal, ts: Date.now() });
+            }
+            ack({ ok: true });
+        });
+
+        // ──────────────────────────────────────────────
+        // CHAT: MUTE / UNMUTE A PLAYER FOR THE ROOM (host)
+        // ──────────────────────────────────────────────
+        for (const [event, muted] of [['chat:mute', true], ['chat:unmute', false]]) {
+            on(event, ({ roomCode, targetPlayerId }, ack) => {
                 const room = getRoom(roomCode);
-                if (!room) return callback({ ok: false, error: 'Room not found.' });
-                if (room.hostId !== socket.id) return callback({ ok: false, error: 'Only host can rematch.' });
-
-                // Reset to lobby
-                room.phase = 'lobby';
-                room.game = null;
-                for (const p of room.players) {
-                    p.hand = [];
-                    p.clashSafe = false;
-                }
+                if (!room) return ack({ ok: false, error: 'Room not found.' });
+                if (!isHost(room, socket.id)) return ack({ ok: false, error: 'Only the host can mute players.' });
+                if (!room.players.some((p) => p.id === targetPlayerId))
+                    return ack({ ok: false, error: 'Player not found.' });
+                setChatMuted(room, targetPlayerId, muted);
+                persistRoom(room);
                 io.to(room.code).emit('room:updated', sanitizeRoom(room));
-                callback({ ok: true });
-            } catch (err) {
-                callback({ ok: false, error: err.message });
+                ack({ ok: true });
+            });
+        }
+
+        // ──────────────────────────────────────────────
+        // CHAT: HIDE / UNHIDE A PLAYER'S CHAT (just for me)
+        // ──────────────────────────────────────────────
+        for (const [event, ignored] of [['chat:ignore', true], ['chat:unignore', false]]) {
+            on(event, ({ roomCode, targetPlayerId }, ack) => {
+                const room = getRoom(roomCode);
+                if (!room) return ack({ ok: false, error: 'Room not found.' });
+                const player = room.players.find((p) => p.socketId === socket.id);
+                if (!player) return ack({ ok: false, error: 'Not in this room.' });
+                if (targetPlayerId === player.id) return ack({ ok: false, error: 'You cannot hide yourself.' });
+                setIgnored(player, targetPlayerId, ignored);
+                persistRoom(room);
+                ack({ ok: true, ignoredIds: player.ignoredIds });
+            });
+        }
+
+        // ──────────────────────────────────────────────
+        // GAME: TAKE MY SEAT BACK FROM THE AUTOPILOT
+        // ──────────────────────────────────────────────
+        on('game:reclaimSeat', ({ roomCode }, ack) => {
+            const room = getRoom(roomCode);
+            ack(reclaimSeat(io, room, memberIdFor(room, socket.id)));
+        });
+
+        // ──────────────────────────────────────────────
+        // GAME: REMATCH
+        // ──────────────────────────────────────────────
+        on('game:rematch', ({ roomCode }, ack) => {
+            const room = getRoom(roomCode);
+            if (!room) return ack({ ok: false, error: 'Room not found.' });
+            if (!isHost(room, socket.id)) return ack({ ok: false, error: 'Only host can rematch.' });
+            if (room.tournament) return ack({ ok: false, error: 'Tournament tables cannot rematch.' });
+
+            // Reset to lobby
+            room.phase = 'lobby';
+            room.game = null;
+            for (const p of room.players) {
+                p.hand = [];
+                p.clashSafe = false;
             }
+            persistRoom(room);
+            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+            ack({ ok: true });
         });
 
         // ──────────────────────────────────────────────
@@ -403,32 +491,57 @@ module.exports = function registerHandlers(io) {
         // ──────────────────────────────────────────────
         socket.on('disconnect', () => {
             console.log(`[disconnected] ${socket.id}`);
-            const result = leaveRoom(socket.id, io);
-
-            if (!result.room && !result.deleted) return;
-            if (result.deleted) return;
+            limiter.forget(socket);
+            matchmaker.leave(socket);
+            for (const result of leaveRoom(socket.id, io, onTakeover)) {
+                if (result.deleted) continue;
 
-            const room = result.room;
-            // Notify others that this player is offline (grace period started)
-            io.to(room.code).emit('room:updated', sanitizeRoom(room));
+                const room = result.room;
+                // Notify others that this player is offline (grace period started)
+                io.to(room.code).emit('room:updated', sanitizeRoom(room));
+                if (result.systemMessage) io.to(room.code).emit('chat:message', result.systemMessage);
+                if (result.spectator) continue;
 
-            if (room.phase === 'game' && room.game) {
-                broadcastGameState(io, room);
+                if (room.phase === 'game' && room.game) {
+                    broadcastGameState(io, room);
+                }
             }
         });
     });
 };
 
+/** What a player keeps to act as themselves: their public id and secret token */
+function session(player) {
+    return { playerId: player.id, token: player.token };
+}
+
+/** Count `player`'s games for the profile `socket` signed in with, if any. */
+function linkProfile(socket, room, player) {
+    if (!socket.data.profileId || player.profileId) return;
+    player.profileId = socket.data.profileId;
+    persistRoom(room);
+}
+
 /** Strip private hand data from room for lobby broadcasts */
 function sanitizeRoom(room) {
     return {
         code: room.code,
         hostId: room.hostId,
         phase: room.phase,
+        visibility: room.visibility,
+        hasPassword: !!room.password,
+        rules: room.rules,
+        settings: room.settings,
         players: room.players.map((p) => ({
             id: p.id,
             nickname: p.nickname,
             isConnected: p.isConnected,
+            isBot: !!p.isBot,
+            botControlled: !!p.botDifficulty,
+            team: p.team ?? null,
+            profileId: p.profileId ?? null,
+            chatMuted: isChatMuted(room, p.id),
         })),
+        spectators: room.spectators.map((s) => ({ id: s.id, nickname: s.nickname })),
     };
 }
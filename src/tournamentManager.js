@@ -0,0 +1,488 @@
+/**
+ * Color Clash – Tournaments
+ * An organizer creates a tournament and players register for it. Once it
+ * starts, the server seats every round itself: each table gets a room whose
+ * game starts straight away, and the table's finishing order is collected
+ * when that game ends. Swiss tournaments play a set number of rounds,
+ * seating players with similar scores together; single elimination advances
+ * the top finishers of each table until the final table decides it.
+ *
+ * Forfeits: a player who isn't connected, or is busy in another game, when
+ * their round is seated forfeits it. So does one who leaves their table game
+ * or is removed from it (tables remove absent players after the usual grace
+ * period instead of handing their seat to a bot). A forfeit finishes last at
+ * the table, scores nothing and ends that player's tournament.
+ *
+ * Changes are broadcast on the tournament's channel as `tournament:updated`;
+ * seated players get `tournament:table` with their room session, and
+ * `tournament:ended` announces the champion. Tournaments live in memory only.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+    createRoom,
+    joinRoom,
+    quitRoom,
+    updateRules,
+    updateSettings,
+    startGame,
+    getRoom,
+    getRoomBySocket,
+    sanitizeRoomPublic,
+    rooms,
+    MAX_ROOMS,
+} = require('./roomManager');
+const { broadcastGameState, startTurnTimer, onGameEnded } = require('./gameActions');
+const { MATCH_VARIANTS } = require('./matchmaker');
+const { historyFor } = require('./chatManager');
+const { getProfile, START_RATING } = require('./profileStore');
+
+const TOURNAMENT_FORMATS = ['swiss', 'elimination'];
+const MAX_TOURNAMENT_PLAYERS = 64;
+const ROUND_BREAK_MS = 15000; // from a round's last game to the next round
+
+const tournaments = new Map(); // id → tournament
+
+function channelOf(tournamentId) {
+    return `tournament:${tournamentId}`;
+}
+
+// ── Organizing ──────────────────────────────────────────────────────────────
+
+/**
+ * Open a tournament for registration. `organizerToken` (private) is needed
+ * to start it.
+ * @returns {{ tournament: object } | { error: string }}
+ */
+function createTournament({
+    name, format = 'swiss', tableSize = 4, rounds = 3, advance = 1, variant = 'classic',
+}) {
+    if (!TOURNAMENT_FORMATS.includes(format)) return { error: 'Unknown tournament format.' };
+    if (!(variant in MATCH_VARIANTS)) return { error: 'Unknown game variant.' };
+    if (advance >= tableSize) return { error: 'advance must be less than tableSize.' };
+
+    const tournament = {
+        id: crypto.randomBytes(4).toString('hex').toUpperCase(),
+        organizerToken: crypto.randomBytes(24).toString('base64url'),
+        name: (name || '').trim().slice(0, 60) || 'Tournament',
+        format,
+        tableSize,
+        totalRounds: format === 'swiss' ? rounds : null, // elimination runs until one is left
+        advance: format === 'elimination' ? advance : null, // per table
+        variant,
+        phase: 'registration', // → 'running' → 'finished'
+        players: [],
+        rounds: [],            // { number, tables, forfeits }
+        nextRoundAt: null,
+        champion: null,        // tournament player id
+        createdAt: Date.now(),
+    };
+    tournaments.set(tournament.id, tournament);
+    return { tournament };
+}
+
+/** Register for a tournament that hasn't started. Registering twice returns the same entry. */
+function registerPlayer(tournamentId, socketId, nickname, profileId) {
+    const tournament = getTournament(tournamentId);
+    if (!tournament) return { error: 'Tournament not found.' };
+    if (tournament.phase !== 'registration') return { error: 'Registration is closed.' };
+    const existing = tournament.players.find((p) => p.socketId === socketId);
+    if (existing) return { tournament, player: existing };
+    if (tournament.players.length >= MAX_TOURNAMENT_PLAYERS)
+        return { error: `Tournament is full (max ${MAX_TOURNAMENT_PLAYERS} players).` };
+
+    const player = {
+        id: uuidv4(),
+        token: crypto.randomBytes(24).toString('base64url'), // private: tournament:reconnect
+        socketId,
+        nickname: (nickname || '').trim().slice(0, 20) || 'Player',
+        profileId: profileId || null,
+        seed: getProfile(profileId)?.rating ?? START_RATING, // stronger players are kept apart early
+        status: 'active', // or 'eliminated' / 'forfeited'
+        outInRound: null,
+        points: 0,
+        wins: 0,
+        games: 0,
+        rankTotal: 0,
+        lastRank: 0,
+    };
+    tournament.players.push(player);
+    return { tournament, player };
+}
+
+/** Withdraw before the tournament starts. */
+function unregisterPlayer(tournamentId, token) {
+    const tournament = getTournament(tournamentId);
+    if (!tournament) return { error: 'Tournament not found.' };
+    if (tournament.phase !== 'registration') return { error: 'The tournament has already started.' };
+    const player = tournament.players.find((p) => p.token === token);
+    if (!player) return { error: 'You are not registered.' };
+    tournament.players = tournament.players.filter((p) => p !== player);
+    return { tournament };
+}
+
+/** Move a registered player onto `socketId`; `table` is their running table, if any. */
+function reconnectTournament(tournamentId, token, socketId) {
+    const tournament = getTournament(tournamentId);
+    if (!tournament) return { error: 'Tournament not found.' };
+    const player = token ? tournament.players.find((p) => p.token === token) : null;
+    if (!player) return { error: 'Invalid session. Please register again.' };
+    // One connection can't play two entries: both would be seated on it
+    if (tournament.players.some((p) => p !== player && p.socketId === socketId))
+        return { error: 'This connection already holds another entry in this tournament.' };
+    player.socketId = socketId;
+    return { tournament, player, table: tableSession(tournament, player) };
+}
+
+/** Organizer starts the tournament: the first round is seated at once. */
+function startTournament(io, tournamentId, organizerToken) {
+    const tournament = getTournament(tournamentId);
+    if (!tournament) return { error: 'Tournament not found.' };
+    if (tournament.organizerToken !== organizerToken) return { error: 'Only the organizer can start the tournament.' };
+    if (tournament.phase !== 'registration') return { error: 'The tournament has already started.' };
+    if (tournament.players.length < 2) return { error: 'Need at least 2 players.' };
+    if (rooms.size + Math.ceil(tournament.players.length / tournament.tableSize) > MAX_ROOMS)
+        return { error: 'Too many open rooms right now. Try again later.' };
+
+    tournament.phase = 'running';
+    seatRound(io, tournament);
+    return { tournament };
+}
+
+// ── Rounds ──────────────────────────────────────────────────────────────────
+
+/** Seat the next round: forfeit whoever can't play, open the tables. */
+function seatRound(io, tournament) {
+    const round = { number: tournament.rounds.length + 1, tables: [], forfeits: [] };
+    tournament.rounds.push(round);
+    tournament.nextRoundAt = null;
+
+    const seated = [];
+    for (const player of seatingOrder(tournament)) {
+        if (canPlay(io, player)) {
+            seated.push(player);
+        } else {
+            forfeitSeat(round, player);
+        }
+    }
+    if (seated.length < 2) return finishTournament(io, tournament);
+
+    const spread = tournament.format === 'elimination';
+    for (const group of splitTables(seated, tournament.tableSize, spread)) {
+        round.tables.push(openTable(io, tournament, round, group));
+    }
+    broadcastTournament(io, tournament);
+    if (round.tables.every((t) => t.results)) endRound(io, tournament);
+}
+
+/**
+ * Who plays this round, in seating order. Swiss seats by standings so
+ * similar scores meet; elimination by last round's finish, then seed.
+ */
+function seatingOrder(tournament) {
+    const active = tournament.players.filter((p) => p.status === 'active');
+    if (tournament.format === 'swiss') return standings(tournament).filter((p) => active.includes(p));
+    return active.sort((a, b) => a.lastRank - b.lastRank || b.seed - a.seed);
+}
+
+/** Connected and not in the middle of another game */
+function canPlay(io, player) {
+    if (!io.sockets.sockets.has(player.socketId)) return false;
+    return getRoomBySocket(player.socketId)?.phase !== 'game';
+}
+
+/**
+ * Split `players` into as few tables of at most `size` as possible, evenly.
+ * `spread` deals them out one per table in turn (keeping the top seeds
+ * apart); otherwise neighbours in the order sit together.
+ */
+function splitTables(players, size, spread) {
+    const count = Math.ceil(players.length / size);
+    const tables = Array.from({ length: count }, () => []);
+    if (spread) {
+        players.forEach((p, i) => tables[i % count].push(p));
+        return tables;
+    }
+    const base = Math.floor(players.length / count);
+    const extra = players.length % count;
+    let next = 0;
+    tables.forEach((table, i) => {
+        const take = base + (i < extra ? 1 : 0);
+        table.push(...players.slice(next, next + take));
+        next += take;
+    });
+    return tables;
+}
+
+/**
+ * Open a room for `group` and start its game. Anyone who can't be seated
+ * (already at another table, or their join fails) forfeits the round. A lone
+ * player, or a table that can't be started (say the server has no room for
+ * it), gets a bye: a win without playing.
+ */
+function openTable(io, tournament, round, group) {
+    const table = {
+        roomCode: null,
+        seats: [],     // { playerId, roomPlayerId }
+        results: null, // { playerId, rank, points, forfeit?, bye? }, best first
+    };
+    for (const player of group) leaveCurrentRoom(io, player.socketId);
+
+    const ready = [];
+    for (const player of group) {
+        if (canPlay(io, player)) ready.push(player);
+        else forfeitSeat(round, player);
+    }
+    const [host, ...guests] = ready;
+    const { room, error } = ready.length > 1 ? createRoom(host.socketId, host.nickname) : {};
+    if (!room) return giveByes(tournament, round, table, ready, error);
+
+    updateRules(room.code, host.socketId, MATCH_VARIANTS[tournament.variant]);
+    updateSettings(room.code, host.socketId, { afkAction: 'remove', maxPlayers: ready.length });
+    room.tournament = { id: tournament.id, round: round.number };
+
+    // Seats are matched to entries as they join, never by position
+    const seated = [{ player: host, roomPlayer: room.players[0] }];
+    for (const guest of guests) {
+        const joined = joinRoom(guest.socketId, room.code, guest.nickname);
+        // A connection already at this table gets its own seat back, not a new one
+        const taken = seated.some((s) => s.roomPlayer === joined.player);
+        if (joined.error || taken) {
+            console.warn(`[tournament ${tournament.id}] ${guest.nickname} could not join a table: ${joined.error || 'connection already seated'}`);
+            forfeitSeat(round, guest);
+            continue;
+        }
+        seated.push({ player: guest, roomPlayer: joined.player });
+    }
+    for (const { player, roomPlayer } of seated) roomPlayer.profileId = player.profileId;
+
+    const started = seated.length > 1 ? startGame(room.code, host.socketId) : { error: 'Need at least 2 players.' };
+    if (started.error) {
+        for (const { player } of seated) leaveCurrentRoom(io, player.socketId);
+        return giveByes(tournament, round, table, seated.map((s) => s.player), started.error);
+    }
+    room.game.turnStartedAt = Date.now();
+    table.roomCode = room.code;
+    table.seats = seated.map(({ player, roomPlayer }) => ({ playerId: player.id, roomPlayerId: roomPlayer.id }));
+
+    for (const { player, roomPlayer } of seated) {
+        io.sockets.sockets.get(player.socketId)?.join(room.code);
+        io.to(player.socketId).emit('tournament:table', {
+            tournamentId: tournament.id,
+            round: round.number,
+            room: sanitizeRoomPublic(room),
+            roomCode: room.code,
+            playerId: roomPlayer.id,
+            token: roomPlayer.token,
+            chat: historyFor(room),
+        });
+    }
+    broadcastGameState(io, room);
+    startTurnTimer(io, room);
+    return table;
+}
+
+/** Score `players` as having a bye at `table`; `error` says why there's no game, if there's a reason. */
+function giveByes(tournament, round, table, players, error) {
+    if (error) console.warn(`[tournament ${tournament.id}] no game for a table: ${error}`);
+    table.seats = players.map((p) => ({ playerId: p.id, roomPlayerId: null }));
+    table.results = players.map((p) => ({ playerId: p.id, rank: 1, points: tournament.tableSize - 1, bye: true }));
+    if (players.length) scoreTable(tournament, round, table);
+    return table;
+}
+
+/** `player` couldn't take their seat this round */
+function forfeitSeat(round, player) {
+    round.forfeits.push(player.id);
+    knockOut(player, 'forfeited', round);
+}
+
+/** Take `socketId` out of whatever room it's in (last round's table, usually). */
+function leaveCurrentRoom(io, socketId) {
+    const room = getRoomBySocket(socketId);
+    if (!room) return;
+    const result = quitRoom(room.code, socketId);
+    if (result.inGame) return; // seated at another table this round; see openTable
+    io.sockets.sockets.get(socketId)?.leave(room.code);
+    if (result.room) io.to(room.code).emit('room:updated', sanitizeRoomPublic(result.room));
+}
+
+/** The room session for `player`'s running table: { roomCode, playerId, token }, or null */
+function tableSession(tournament, player) {
+    for (const table of tournament.rounds.at(-1)?.tables || []) {
+        const seat = table.seats.find((s) => s.playerId === player.id);
+        if (!seat || table.results) continue;
+        const roomPlayer = getRoom(table.roomCode)?.players.find((p) => p.id === seat.roomPlayerId);
+        if (roomPlayer) return { roomCode: table.roomCode, playerId: roomPlayer.id, token: roomPlayer.token };
+    }
+    return null;
+}
+
+/** A table's game ended: record where everyone finished. */
+function tableFinished(io, room, placements) {
+    const tournament = getTournament(room.tournament?.id);
+    if (!tournament || tournament.phase !== 'running') return;
+    const round = tournament.rounds[room.tournament.round - 1];
+    const table = round?.tables.find((t) => t.roomCode === room.code);
+    if (!table || table.results) return;
+
+    table.results = placements.map(({ player, rank, left }) => ({
+        playerId: table.seats.find((s) => s.roomPlayerId === player.id).playerId,
+        rank,
+        points: left ? 0 : placements.length - rank,
+        ...(left && { forfeit: true }),
+    }));
+    scoreTable(tournament, round, table);
+    broadcastTournament(io, tournament);
+    if (round === tournament.rounds.at(-1) && round.tables.every((t) => t.results)) endRound(io, tournament);
+}
+
+/** Add a table's results to its players; in elimination, knock out those who don't advance. */
+function scoreTable(tournament, round, table) {
+    // The final (a round with a single table) has one winner
+    const advance = round.tables.length <= 1 && !table.results[0].bye
+        ? 1
+        : Math.min(tournament.advance, table.seats.length - 1);
+    const stayed = table.results.filter((r) => !r.forfeit);
+
+    for (const result of table.results) {
+        const player = tournament.players.find((p) => p.id === result.playerId);
+        player.games += 1;
+        player.rankTotal += result.rank;
+        player.lastRank = result.rank;
+        player.points += result.points;
+        if (result.rank === 1 && !result.forfeit) player.wins += 1;
+
+        if (result.forfeit) knockOut(player, 'forfeited', round);
+        else if (tournament.format === 'elimination' && !result.bye && stayed.indexOf(result) >= advance)
+            knockOut(player, 'eliminated', round);
+    }
+}
+
+function knockOut(player, status, round) {
+    player.status = status;
+    player.outInRound = round.number;
+}
+
+/** Every table of the round is done: finish, or seat the next round after a break. */
+function endRound(io, tournament) {
+    const active = tournament.players.filter((p) => p.status === 'active');
+    const lastRound = tournament.format === 'swiss'
+        ? tournament.rounds.length >= tournament.totalRounds
+        : false;
+    if (lastRound || active.length < 2) return finishTournament(io, tournament);
+
+    tournament.nextRoundAt = Date.now() + ROUND_BREAK_MS;
+    broadcastTournament(io, tournament);
+    setTimeout(() => seatRound(io, tournament), ROUND_BREAK_MS);
+}
+
+function finishTournament(io, tournament) {
+    tournament.phase = 'finished';
+    tournament.nextRoundAt = null;
+    const [first] = standings(tournament);
+    const survivors = tournament.players.filter((p) => p.status === 'active');
+    tournament.champion = tournament.format === 'elimination'
+        ? (survivors.length === 1 ? survivors[0].id : null)
+        : first?.id ?? null;
+    const view = publicTournament(tournament);
+    io.to(channelOf(tournament.id)).emit('tournament:ended', {
+        id: tournament.id, champion: tournament.champion, standings: view.standings,
+    });
+    broadcastTournament(io, tournament);
+}
+
+// ── Views ───────────────────────────────────────────────────────────────────
+
+/**
+ * Best first. Swiss: points, then wins, then average finish. Elimination:
+ * whoever lasted longest, then the same.
+ */
+function standings(tournament) {
+    const averageRank = (p) => (p.games ? p.rankTotal / p.games : Infinity);
+    // Still in it (never out) sorts as lasting longest
+    const lasted = (a, b) => (b.outInRound ?? Infinity) - (a.outInRound ?? Infinity) || 0;
+    return [...tournament.players].sort((a, b) =>
+        (tournament.format === 'elimination' ? lasted(a, b) : 0)
+        || b.points - a.points
+        || b.wins - a.wins
+        || averageRank(a) - averageRank(b)
+        || b.seed - a.seed);
+}
+
+/** Tournament as anyone may see it: settings, standings and every round's tables */
+function publicTournament(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        tableSize: tournament.tableSize,
+        totalRounds: tournament.totalRounds,
+        advance: tournament.advance,
+        variant: tournament.variant,
+        phase: tournament.phase,
+        round: tournament.rounds.length,
+        nextRoundAt: tournament.nextRoundAt,
+        champion: tournament.champion,
+        standings: standings(tournament).map((p, i) => ({
+            rank: i + 1,
+            id: p.id,
+            nickname: p.nickname,
+            profileId: p.profileId,
+            status: p.status,
+            points: p.points,
+            wins: p.wins,
+            games: p.games,
+            averageRank: p.games ? +(p.rankTotal / p.games).toFixed(2) : null,
+        })),
+        rounds: tournament.rounds.map((round) => ({
+            number: round.number,
+            forfeits: round.forfeits,
+            tables: round.tables.map((t) => ({
+                roomCode: t.roomCode,
+                players: t.seats.map((s) => s.playerId),
+                results: t.results,
+            })),
+        })),
+    };
+}
+
+/** One line per tournament for the REST listing, newest first */
+function listTournaments() {
+    return [...tournaments.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((t) => ({
+            id: t.id, name: t.name, format: t.format, phase: t.phase,
+            players: t.players.length, round: t.rounds.length,
+        }));
+}
+
+/** Return a tournament by id. */
+function getTournament(id) {
+    return tournaments.get(id?.toUpperCase());
+}
+
+function broadcastTournament(io, tournament) {
+    io.to(channelOf(tournament.id)).emit('tournament:updated', publicTournament(tournament));
+}
+
+onGameEnded(tableFinished);
+
+module.exports = {
+    createTournament,
+    registerPlayer,
+    unregisterPlayer,
+    reconnectTournament,
+    startTournament,
+    publicTournament,
+    listTournaments,
+    getTournament,
+    broadcastTournament,
+    channelOf,
+    tournaments,
+    TOURNAMENT_FORMATS,
+    MAX_TOURNAMENT_PLAYERS,
+    ROUND_BREAK_MS,
+};
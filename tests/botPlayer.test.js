@@ -0,0 +1,157 @@
+/**
+ * Color Clash – Bot Strategy Tests
+ */
+
+const {
+    chooseMove,
+    shouldChallenge,
+    shouldCallClash,
+    pickAccusation,
+} = require('../src/botPlayer');
+const { CARD_TYPES, registerCardType } = require('../src/gameEngine');
+
+function makeGame(botHand, { top = { color: 'red', type: 'number', value: 5 }, ...overrides } = {}) {
+    const filler = { color: 'green', type: 'number', value: 1 };
+    return {
+        players: [
+            { id: 'bot', nickname: 'Bot 1', hand: botHand },
+            { id: 'p1', nickname: 'P1', hand: Array(6).fill(filler) },
+            { id: 'p2', nickname: 'P2', hand: Array(3).fill(filler) },
+        ],
+        currentPlayerIndex: 0,
+        direction: 1,
+        drawPile: [],
+        discardPile: [top],
+        currentColor: top.color,
+        pendingDraw: 0,
+        pendingChallenge: null,
+        rules: {},
+        ...overrides,
+    };
+}
+
+describe('chooseMove', () => {
+    test('draws when nothing is playable', () => {
+        const game = makeGame([{ color: 'blue', type: 'number', value: 2 }]);
+        expect(chooseMove(game, 0, 'hard')).toEqual({ action: 'draw' });
+    });
+
+    test('only ever picks a valid card', () => {
+        const game = makeGame([
+            { color: 'blue', type: 'number', value: 2 },
+            { color: 'red', type: 'number', value: 9 },
+        ]);
+        for (const difficulty of ['easy', 'normal', 'hard']) {
+            expect(chooseMove(game, 0, difficulty)).toMatchObject({ action: 'play', cardIndex: 1 });
+        }
+    });
+
+    test('normal saves wilds when a colored card fits', () => {
+        const game = makeGame([
+            { color: 'wild', type: 'wild' },
+            { color: 'red', type: 'number', value: 3 },
+        ]);
+        expect(chooseMove(game, 0, 'normal')).toEqual({ action: 'play', cardIndex: 1 });
+    });
+
+    test('picks the wild color it holds most of', () => {
+        const game = makeGame([
+            { color: 'wild', type: 'wild' },
+            { color: 'yellow', type: 'number', value: 3 },
+            { color: 'yellow', type: 'number', value: 4 },
+            { color: 'blue', type: 'number', value: 4 },
+        ]);
+        expect(chooseMove(game, 0, 'normal')).toEqual({ action: 'play', cardIndex: 0, chosenColor: 'yellow' });
+    });
+
+    test('hard attacks a next player who is close to going out', () => {
+        const game = makeGame([
+            { color: 'red', type: 'number', value: 9 },
+            { color: 'red', type: 'draw_two' },
+        ]);
+        game.players[1].hand = [{ color: 'green', type: 'number', value: 1 }];
+        expect(chooseMove(game, 0, 'hard')).toMatchObject({ cardIndex: 1 });
+    });
+
+    test('hard attacks with any registered draw card', () => {
+        registerCardType('test_draw_one', { perDeck: 2, drawAmount: 1 });
+        try {
+            const game = makeGame([
+                { color: 'red', type: 'number', value: 9 },
+                { color: 'red', type: 'test_draw_one' },
+            ]);
+            game.players[1].hand = [{ color: 'green', type: 'number', value: 1 }];
+            expect(chooseMove(game, 0, 'hard')).toMatchObject({ cardIndex: 1 });
+        } finally {
+            delete CARD_TYPES.test_draw_one;
+        }
+    });
+
+    test('hard stays in its strongest color', () => {
+        const game = makeGame([
+            { color: 'blue', type: 'number', value: 5 },
+            { color: 'red', type: 'number', value: 2 },
+            { color: 'red', type: 'number', value: 8 },
+        ]);
+        expect(chooseMove(game, 0, 'hard')).toMatchObject({ cardIndex: 2 });
+    });
+
+    test('answers a stacked penalty only with a draw card', () => {
+        const game = makeGame(
+            [{ color: 'red', type: 'number', value: 3 }, { color: 'blue', type: 'draw_two' }],
+            { top: { color: 'red', type: 'draw_two' }, pendingDraw: 2 },
+        );
+        expect(chooseMove(game, 0, 'normal')).toEqual({ action: 'play', cardIndex: 1 });
+    });
+
+    test('Seven-O: swaps with the shortest other hand', () => {
+        const game = makeGame(
+            [{ color: 'red', type: 'number', value: 7 }, { color: 'blue', type: 'number', value: 1 }],
+            { rules: { sevenO: true } },
+        );
+        expect(chooseMove(game, 0, 'normal')).toMatchObject({ cardIndex: 0, swapTargetId: 'p2' });
+    });
+});
+
+describe('shouldChallenge', () => {
+    test('easy never challenges', () => {
+        const game = makeGame([], { pendingChallenge: { playerIndex: 1, victimIndex: 0 } });
+        expect(shouldChallenge(game, 'easy', () => 0)).toBe(false);
+    });
+
+    test('hard challenges players holding a big hand', () => {
+        const game = makeGame([], { pendingChallenge: { playerIndex: 1, victimIndex: 0 } });
+        expect(shouldChallenge(game, 'hard')).toBe(true);
+        game.pendingChallenge.playerIndex = 2;
+        expect(shouldChallenge(game, 'hard')).toBe(false);
+    });
+});
+
+describe('shouldCallClash', () => {
+    test('hard always calls it; easy sometimes forgets', () => {
+        expect(shouldCallClash('hard')).toBe(true);
+        expect(shouldCallClash('easy', () => 0.9)).toBe(false);
+    });
+});
+
+describe('pickAccusation', () => {
+    test('accuses a player whose grace period ran out', () => {
+        const game = makeGame([]);
+        game.players[2] = { id: 'p2', hand: [{}], clashSafe: false, lastCardAt: 1000 };
+        expect(pickAccusation(game, 0, 'hard', Math.random, 10000)).toBe('p2');
+    });
+
+    test('waits out the grace period and respects a called clash', () => {
+        const game = makeGame([]);
+        game.players[2] = { id: 'p2', hand: [{}], clashSafe: false, lastCardAt: 8000 };
+        expect(pickAccusation(game, 0, 'hard', Math.random, 10000)).toBeNull();
+        game.players[2] = { id: 'p2', hand: [{}], clashSafe: true, lastCardAt: 1000 };
+        expect(pickAccusation(game, 0, 'hard', Math.random, 10000)).toBeNull();
+    });
+
+    test('easy bots never accuse', () => {
+        const game = makeGame([]);
+        game.players[2] = { id: 'p2', hand: [{}], clashSafe: false, lastCardAt: 1000 };
+        expect(pickAccusation(game, 0, 'easy', Math.random, 10000)).toBeNull();
+    });
+});
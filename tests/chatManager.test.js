@@ -0,0 +1,82 @@
+/**
+ * Color Clash – Chat Tests
+ */
+
+const {
+    postMessage,
+    postSystemMessage,
+    historyFor,
+    setChatMuted,
+    setIgnored,
+    socketsIgnoring,
+    setBlockedWords,
+    filterText,
+    CHAT_HISTORY_LIMIT,
+} = require('../src/chatManager');
+
+function makeRoom() {
+    return {
+        chat: [],
+        chatMuted: [],
+        players: [
+            { id: 'p1', socketId: 's1', nickname: 'Ana', ignoredIds: [] },
+            { id: 'p2', socketId: 's2', nickname: 'Ben', ignoredIds: [] },
+        ],
+    };
+}
+
+afterEach(() => setBlockedWords([]));
+
+describe('postMessage', () => {
+    test('records the sender and trims long messages', () => {
+        const room = makeRoom();
+        const { msg } = postMessage(room, room.players[0], 'x'.repeat(300));
+        expect(msg).toMatchObject({ playerId: 'p1', nickname: 'Ana' });
+        expect(msg.text).toHaveLength(200);
+        expect(room.chat).toEqual([msg]);
+    });
+
+    test('keeps only the most recent history', () => {
+        const room = makeRoom();
+        for (let i = 0; i <= CHAT_HISTORY_LIMIT; i++) postMessage(room, room.players[0], `#${i}`);
+        expect(room.chat).toHaveLength(CHAT_HISTORY_LIMIT);
+        expect(room.chat[0].text).toBe('#1');
+    });
+
+    test('refuses players the host has muted, until unmuted', () => {
+        const room = makeRoom();
+        setChatMuted(room, 'p2', true);
+        expect(postMessage(room, room.players[1], 'hi').error).toMatch(/muted/);
+        setChatMuted(room, 'p2', false);
+        expect(postMessage(room, room.players[1], 'hi').msg).toBeDefined();
+    });
+});
+
+describe('word filter', () => {
+    test('masks whole blocked words, ignoring case', () => {
+        setBlockedWords(['darn', ' heck ']);
+        expect(filterText('Darn it, heck! darning')).toBe('**** it, ****! darning');
+    });
+
+    test('applies to posted messages', () => {
+        setBlockedWords(['darn']);
+        const room = makeRoom();
+        expect(postMessage(room, room.players[0], 'darn').msg.text).toBe('****');
+    });
+});
+
+describe('ignoring players', () => {
+    test('hides their messages from my history and their live chat from my socket', () => {
+        const room = makeRoom();
+        postSystemMessage(room, 'Ben joined.');
+        postMessage(room, room.players[1], 'hello');
+        setIgnored(room.players[0], 'p2', true);
+
+        expect(historyFor(room, room.players[0]).map((m) => m.text)).toEqual(['Ben joined.']);
+        expect(historyFor(room, room.players[1])).toHaveLength(2);
+        expect(socketsIgnoring(room, 'p2')).toEqual(['s1']);
+
+        setIgnored(room.players[0], 'p2', false);
+        expect(socketsIgnoring(room, 'p2')).toEqual([]);
+    });
+});
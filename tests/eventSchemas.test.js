@@ -0,0 +1,62 @@
+/**
+ * Color Clash – Socket Event Schema Tests
+ */
+
+const { EVENT_SCHEMAS, validatePayload, withSchema } = require('../src/eventSchemas');
+
+describe('validatePayload', () => {
+    const schema = EVENT_SCHEMAS['game:playCard'];
+    const move = { roomCode: 'ABCDEF', cardId: 12, version: 3 };
+
+    test('passes a well-formed payload, dropping undeclared keys', () => {
+        expect(validatePayload(schema, { ...move, chosenColor: 'red', extra: 1 }))
+            .toEqual({ value: { ...move, chosenColor: 'red' } });
+    });
+
+    test('rejects missing, mistyped and out-of-range fields', () => {
+        expect(validatePayload(schema, { cardId: 12, version: 3 }).error).toBe('roomCode is required.');
+        expect(validatePayload(schema, { ...move, cardId: '12' }).error).toBe('cardId must be an integer.');
+        expect(validatePayload(schema, { ...move, version: -1 }).error).toBe('version must be at least 0.');
+        expect(validatePayload(schema, { ...move, chosenColor: 'purple' }).error).toMatch(/^chosenColor must be one of/);
+    });
+
+    test('rejects payloads that are not objects', () => {
+        expect(validatePayload(schema, 'ABCDEF').error).toBe('Payload must be an object.');
+        expect(validatePayload(schema, [move]).error).toBe('Payload must be an object.');
+    });
+
+    test('chat text must be a string', () => {
+        expect(validatePayload(EVENT_SCHEMAS['chat:message'], { roomCode: 'ABCDEF', text: { length: 1 } }).error)
+            .toBe('text must be a string.');
+    });
+});
+
+describe('withSchema', () => {
+    test('refuses to wrap an event without a schema', () => {
+        expect(() => withSchema('room:unknown', () => {})).toThrow(/No schema/);
+    });
+
+    test('answers malformed payloads without calling the handler', () => {
+        const handler = jest.fn();
+        const ack = jest.fn();
+        withSchema('game:start', handler)({ roomCode: 42 }, ack);
+        expect(handler).not.toHaveBeenCalled();
+        expect(ack).toHaveBeenCalledWith({ ok: false, code: 'INVALID_PAYLOAD', error: 'roomCode must be a string.' });
+    });
+
+    test('tolerates a missing ack, or an ack sent in place of the payload', () => {
+        const handler = jest.fn((payload, ack) => ack({ ok: true }));
+        expect(() => withSchema('chat:emoji', handler)({ roomCode: 'ABCDEF', emoji: '🔥' })).not.toThrow();
+
+        const ack = jest.fn();
+        withSchema('room:create', handler)(ack);
+        expect(handler).toHaveBeenCalledWith({}, ack);
+        expect(ack).toHaveBeenCalledWith({ ok: true });
+    });
+
+    test('turns a throwing handler into an error ack', () => {
+        const ack = jest.fn();
+        withSchema('game:start', () => { throw new Error('boom'); })({ roomCode: 'ABCDEF' }, ack);
+        expect(ack).toHaveBeenCalledWith({ ok: false, code: 'SERVER_ERROR', error: 'boom' });
+    });
+});
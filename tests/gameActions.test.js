@@ -0,0 +1,532 @@
+/**
+ * Color Clash – Game Action Tests
+ */
+
+const {
+    createRoom, joinRoom, leaveRoom, reconnectPlayer, spectateRoom, spectatorChannel, startGame, deleteRoom,
+    rooms,
+} = require('../src/roomManager');
+const {
+    playCard, drawCard, challengeDrawFour, accuseClash, reclaimSeat, removeFromGame, clearTurnTimer,
+    startTurnTimer, broadcastGameState,
+} = require('../src/gameActions');
+const { signIn, getProfile, START_RATING } = require('../src/profileStore');
+const { getReplay } = require('../src/replayStore');
+const { replayGame } = require('../src/gameEngine');
+
+// Swallows every emit; the actions only need io.to(...).emit(...)
+const io = {
+    to() { return this; },
+    except() { return this; },
+    emit() {},
+};
+
+function startedRoom() {
+    const { room } = createRoom('sock-a', 'Ana');
+    joinRoom('sock-b', room.code, 'Ben');
+    startGame(room.code, 'sock-a');
+    const game = room.game;
+    // A hand where the first card always plays
+    game.currentColor = 'red';
+    game.discardPile.push({ id: 900, color: 'red', type: 'number', value: 5 });
+    game.players[0].hand = [
+        { id: 901, color: 'red', type: 'number', value: 1 },
+        { id: 902, color: 'red', type: 'number', value: 2 },
+    ];
+    return room;
+}
+
+afterEach(() => {
+    for (const code of [...rooms.keys()]) {
+        clearTurnTimer(code);
+        deleteRoom(code);
+    }
+});
+
+describe('state versions', () => {
+    test('a move made against an older version is rejected', () => {
+        const room = startedRoom();
+        const ana = room.players[0];
+        const result = playCard(io, room, ana.id, { cardId: 901, version: room.game.version - 1 });
+        expect(result).toMatchObject({ ok: false, code: 'STALE_STATE', version: room.game.version });
+        expect(ana.hand).toHaveLength(2);
+    });
+
+    test('a double-click only plays once', () => {
+        const room = startedRoom();
+        const ana = room.players[0];
+        const { version } = room.game;
+        expect(playCard(io, room, ana.id, { cardId: 902, version }).ok).toBe(true);
+        expect(room.game.version).toBeGreaterThan(version);
+        expect(playCard(io, room, ana.id, { cardId: 902, version }).code).toBe('STALE_STATE');
+        expect(drawCard(io, room, ana.id, version).code).toBe('STALE_STATE');
+    });
+
+    test('an opponent dropping and rejoining does not make a pending move stale', () => {
+        const room = startedRoom();
+        const [ana, ben] = room.players;
+        const { version } = room.game;
+
+        // What the disconnect and room:reconnect handlers do
+        leaveRoom('sock-b', io, () => {});
+        broadcastGameState(io, room);
+        reconnectPlayer(room.code, ben.token, 'sock-b2');
+        broadcastGameState(io, room);
+
+        expect(room.game.version).toBe(version);
+        expect(playCard(io, room, ana.id, { cardId: 902, version }).ok).toBe(true);
+    });
+});
+
+describe('playCard', () => {
+    test('plays the card with the given id wherever it sits in the hand', () => {
+        const room = startedRoom();
+        const ana = room.players[0];
+        playCard(io, room, ana.id, { cardId: 902, version: room.game.version });
+        expect(ana.hand.map((c) => c.id)).toEqual([901]);
+        expect(room.game.discardPile.at(-1).id).toBe(902);
+    });
+
+    test('rejects a card id that is not in the hand', () => {
+        const room = startedRoom();
+        const ana = room.players[0];
+        expect(playCard(io, room, ana.id, { cardId: 900, version: room.game.version }))
+            .toEqual({ ok: false, error: 'Invalid card.' });
+    });
+});
+
+describe('challengeDrawFour', () => {
+    // Records [target, excluded, event, payload] for every emit
+    function recordingIo() {
+        const sent = [];
+        return {
+            sent,
+            to(target) {
+                let excluded = null;
+                return {
+                    except(socketId) { excluded = socketId; return this; },
+                    emit: (event, payload) => sent.push([target, excluded, event, payload]),
+                };
+            },
+        };
+    }
+
+    /** Ana throws a Wild Draw Four on red, holding `rest` besides it */
+    function challengedRoom(io, rest) {
+        const room = startedRoom();
+        const [ana, ben] = room.players;
+        ana.hand = [{ id: 930, color: 'wild', type: 'wild_draw_four' }, ...rest];
+        playCard(io, room, ana.id, { cardId: 930, chosenColor: 'blue', version: room.game.version });
+        expect(room.game.pendingChallenge).not.toBeNull();
+        return { room, ana, ben };
+    }
+
+    function challengeEvents(io) {
+        return io.sent.filter(([, , event, payload]) => event === 'game:event' && payload.type === 'challenge');
+    }
+
+    test('a caught bluff makes the player draw 4 and the challenger plays on', () => {
+        const io = recordingIo();
+        const red = { id: 931, color: 'red', type: 'number', value: 3 };
+        const { room, ana, ben } = challengedRoom(io, [red]);
+        const benCards = ben.hand.length;
+
+        expect(challengeDrawFour(io, room, ben.id, room.game.version)).toEqual({ ok: true, bluffed: true });
+        expect(ana.hand).toHaveLength(5);
+        expect(ben.hand).toHaveLength(benCards);
+        expect(room.game.players[room.game.currentPlayerIndex]).toBe(ben);
+        expect(room.game.pendingChallenge).toBeNull();
+
+        const [toOthers, toChallenger] = challengeEvents(io);
+        expect(toOthers[3]).toMatchObject({
+            by: 'Ben', target: 'Ana', bluffed: true, penalty: { nickname: 'Ana', count: 4 },
+        });
+        expect(toChallenger[3]).toMatchObject({ bluffed: true, penalty: { nickname: 'Ana', count: 4 } });
+    });
+
+    test('a failed challenge costs the challenger 6 and their turn', () => {
+        const io = recordingIo();
+        const { room, ana, ben } = challengedRoom(io, [{ id: 931, color: 'green', type: 'number', value: 3 }]);
+        const benCards = ben.hand.length;
+
+        expect(challengeDrawFour(io, room, ben.id, room.game.version)).toEqual({ ok: true, bluffed: false });
+        expect(ben.hand).toHaveLength(benCards + 6);
+        expect(ana.hand).toHaveLength(1);
+        expect(room.game.players[room.game.currentPlayerIndex]).toBe(ana);
+
+        const [[, , , payload]] = challengeEvents(io);
+        expect(payload.penalty).toEqual({ nickname: 'Ben', count: 6 });
+    });
+
+    test('only the challenger sees the challenged hand', () => {
+        const io = recordingIo();
+        const green = { id: 931, color: 'green', type: 'number', value: 3 };
+        const { room, ben } = challengedRoom(io, [green]);
+        challengeDrawFour(io, room, ben.id, room.game.version);
+
+        const events = challengeEvents(io);
+        expect(events).toHaveLength(2);
+        const [toOthers, toChallenger] = events;
+        expect(toOthers.slice(0, 2)).toEqual([room.code, ben.socketId]);
+        expect(toOthers[3]).not.toHaveProperty('hand');
+        expect(toChallenger[0]).toBe(ben.socketId);
+        expect(toChallenger[3].hand).toEqual([green]);
+    });
+
+    test('only the target can challenge', () => {
+        const io = recordingIo();
+        const { room, ana } = challengedRoom(io, [{ id: 931, color: 'red', type: 'number', value: 3 }]);
+        expect(challengeDrawFour(io, room, ana.id, room.game.version))
+            .toEqual({ ok: false, error: 'Only the target can challenge.' });
+        expect(room.game.pendingChallenge).not.toBeNull();
+    });
+});
+
+describe('jump-in', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    // Ana's turn on a red 5; Ben and Cy each hold another red 5
+    function jumpRoom() {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        joinRoom('sock-c', room.code, 'Cy');
+        room.rules.jumpIn = true;
+        startGame(room.code, 'sock-a');
+        const game = room.game;
+        game.currentPlayerIndex = 0;
+        game.currentColor = 'red';
+        game.discardPile.push({ id: 900, color: 'red', type: 'number', value: 5 });
+        game.players[1].hand = [
+            { id: 911, color: 'red', type: 'number', value: 5 },
+            { id: 912, color: 'blue', type: 'number', value: 1 },
+        ];
+        game.players[2].hand = [
+            { id: 921, color: 'red', type: 'number', value: 5 },
+            { id: 922, color: 'blue', type: 'number', value: 2 },
+        ];
+        return room;
+    }
+
+    test('two jump-ins on the same version: the first wins, the second is stale', () => {
+        const room = jumpRoom();
+        const [, ben, cy] = room.players;
+        const { version } = room.game;
+
+        expect(playCard(io, room, ben.id, { cardId: 911, version })).toEqual({ ok: true });
+        expect(playCard(io, room, cy.id, { cardId: 921, version })).toMatchObject({ ok: false, code: 'STALE_STATE' });
+        expect(room.game.discardPile.at(-1).id).toBe(911);
+        expect(cy.hand.map((c) => c.id)).toEqual([921, 922]);
+        expect(room.game.players[room.game.currentPlayerIndex]).toBe(cy); // play goes on after Ben
+    });
+
+    test('the turn timer restarts for the player after the jump-in', () => {
+        const room = jumpRoom();
+        const [ana, ben, cy] = room.players;
+        startTurnTimer(io, room);
+        jest.advanceTimersByTime(20000); // most of Ana's 25 seconds gone
+
+        playCard(io, room, ben.id, { cardId: 911, version: room.game.version });
+        jest.advanceTimersByTime(5000); // Ana's old clock would have run out here
+        expect(ana.hand).toHaveLength(7);
+        expect(cy.hand).toHaveLength(2);
+
+        jest.advanceTimersByTime(20000); // Cy's full 25 seconds
+        expect(cy.hand).toHaveLength(3);
+        expect(ana.hand).toHaveLength(7);
+    });
+});
+
+describe('spectators', () => {
+    test('cannot play, draw or accuse', () => {
+        const room = startedRoom();
+        const { spectator } = spectateRoom('sock-c', room.code, 'Cy');
+        const { version } = room.game;
+        const ben = room.players[1];
+        ben.hand = [{ id: 910, color: 'blue', type: 'number', value: 3 }];
+
+        const refused = { ok: false, error: 'Spectators cannot play.' };
+        expect(playCard(io, room, spectator.id, { cardId: 901, version })).toEqual(refused);
+        expect(drawCard(io, room, spectator.id, version)).toEqual(refused);
+        expect(accuseClash(io, room, spectator.id, ben.id, version)).toEqual(refused);
+        expect(ben.hand).toHaveLength(1);
+        expect(room.game.version).toBe(version);
+    });
+
+    describe('with spectatorsSeeHands', () => {
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+
+        test('every hand reaches the spectators only after the delay', () => {
+            const sent = [];
+            const recordingIo = {
+                to(target) {
+                    return { except() { return this; }, emit: (event, payload) => sent.push([target, event, payload]) };
+                },
+            };
+            const room = startedRoom();
+            Object.assign(room.game.rules, { spectatorsSeeHands: true, spectatorDelaySec: 30 });
+            spectateRoom('sock-c', room.code, 'Cy');
+            const hands = room.game.players.map((p) => [...p.hand]);
+
+            broadcastGameState(recordingIo, room);
+            const allHands = () => sent.filter(([target, event]) =>
+                target === spectatorChannel(room.code) && event === 'game:allHands');
+            expect(sent.some(([, event]) => event === 'game:allHands')).toBe(false);
+            jest.advanceTimersByTime(29000);
+            expect(allHands()).toHaveLength(0);
+            jest.advanceTimersByTime(1000);
+
+            const [[, , payload]] = allHands();
+            expect(payload.hands.map((h) => h.nickname)).toEqual(['Ana', 'Ben']);
+            expect(payload.hands.map((h) => h.hand)).toEqual(hands);
+        });
+
+        test('nothing is sent when nobody is watching', () => {
+            const sent = [];
+            const recordingIo = { ...io, emit: (event) => sent.push(event) };
+            const room = startedRoom();
+            Object.assign(room.game.rules, { spectatorsSeeHands: true, spectatorDelaySec: 30 });
+            broadcastGameState(recordingIo, room);
+            jest.advanceTimersByTime(30000);
+            expect(sent).not.toContain('game:allHands');
+        });
+    });
+});
+
+describe('AFK players', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    // Ana's turn, with both players connected but not moving
+    function afkRoom(settings) {
+        const room = startedRoom();
+        Object.assign(room.settings, settings);
+        startTurnTimer(io, room);
+        return room;
+    }
+
+    test('timing out marks them AFK, then a bot plays their seat until they reclaim it', () => {
+        const room = afkRoom({ afkTimeouts: 2, turnTimeoutSec: 20, afkTurnSec: 5 });
+        const [ana] = room.players;
+
+        jest.advanceTimersByTime(20000); // Ana misses
+        expect(ana.missedTurns).toBe(1);
+        jest.advanceTimersByTime(20000); // Ben misses
+        jest.advanceTimersByTime(20000); // Ana misses again: AFK
+        expect(ana).toMatchObject({ missedTurns: 2, isAfk: true, botDifficulty: null });
+        jest.advanceTimersByTime(20000); // Ben, AFK too now
+
+        jest.advanceTimersByTime(5000); // Ana's shorter clock runs out
+        expect(ana.botDifficulty).toBe('normal');
+        expect(room.game.players).toContain(ana);
+
+        expect(reclaimSeat(io, room, ana.id)).toEqual({ ok: true });
+        expect(ana).toMatchObject({ missedTurns: 0, isAfk: false, botDifficulty: null });
+        expect(reclaimSeat(io, room, ana.id).ok).toBe(false);
+    });
+
+    test('an AFK clock set longer than the normal one is cut to the normal one', () => {
+        const room = startedRoom();
+        Object.assign(room.settings, { afkTimeouts: 1, turnTimeoutSec: 10, afkTurnSec: 30 });
+        const [ana] = room.players;
+        Object.assign(ana, { missedTurns: 1, isAfk: true });
+        startTurnTimer(io, room);
+
+        jest.advanceTimersByTime(10000);
+        expect(ana.botDifficulty).toBe('normal');
+    });
+
+    test('a bot about to move does nothing once its human reconnects', () => {
+        const room = startedRoom();
+        const [ana] = room.players;
+        ana.botDifficulty = 'normal'; // their seat was taken over
+        ana.isConnected = false;
+        startTurnTimer(io, room); // the bot's think time starts
+        const { version } = room.game;
+
+        reconnectPlayer(room.code, ana.token, 'sock-a2');
+        jest.advanceTimersByTime(2000);
+        expect(ana.hand).toHaveLength(2);
+        expect(room.game.version).toBe(version);
+    });
+
+    test('playing resets the count', () => {
+        const room = afkRoom({ afkTimeouts: 2, turnTimeoutSec: 20 });
+        const [ana] = room.players;
+        ana.missedTurns = 1;
+        playCard(io, room, ana.id, { cardId: 901, version: room.game.version });
+        expect(ana.missedTurns).toBe(0);
+    });
+
+    test('with afkAction "remove" they leave the game; the last player wins', () => {
+        const room = afkRoom({ afkTimeouts: 1, turnTimeoutSec: 20, afkTurnSec: 5, afkAction: 'remove' });
+        const [ana, ben] = room.players;
+        const drawCount = room.game.drawPile.length;
+
+        jest.advanceTimersByTime(20000); // Ana: AFK
+        jest.advanceTimersByTime(20000); // Ben: AFK
+        jest.advanceTimersByTime(5000);  // Ana is removed
+        expect(room.players).toEqual([ben]);
+        expect(room.hostId).toBe(ben.id);
+        expect(room.game.drawPile.length).toBeGreaterThan(drawCount);
+        expect(room.phase).toBe('results');
+        expect(room.game.winner).toBe('Ben');
+    });
+
+    test('the replay seats the removed player and ends the same way', () => {
+        const sent = [];
+        const recordingIo = { ...io, emit: (event, payload) => sent.push([event, payload]) };
+        const room = startedRoom();
+        Object.assign(room.settings, { afkTimeouts: 1, turnTimeoutSec: 20, afkTurnSec: 5, afkAction: 'remove' });
+        startTurnTimer(recordingIo, room);
+        jest.advanceTimersByTime(45000);
+
+        const [, ended] = sent.find(([event]) => event === 'game:ended');
+        const replay = getReplay(ended.replayId);
+        expect(replay.players.map((p) => p.nickname)).toEqual(['Ana', 'Ben']);
+        const steps = [...replayGame(replay)];
+        expect(steps.at(-1).state).toMatchObject({ winner: 'Ben', phase: 'results' });
+    });
+});
+
+describe('card events', () => {
+    test('playing a card reports the event its card type declares', () => {
+        const sent = [];
+        const recordingIo = { ...io, emit: (event, payload) => sent.push([event, payload]) };
+        const room = startedRoom();
+        const game = room.game;
+        game.players[0].hand.push({ id: 903, color: 'red', type: 'discard_color' });
+        playCard(recordingIo, room, game.players[0].id, { cardId: 903, version: game.version });
+
+        const [, event] = sent.find(([name, payload]) => name === 'game:event' && payload.type === 'discard_color');
+        expect(event).toMatchObject({ by: 'Ana', color: 'red', count: 2 });
+        expect(room.phase).toBe('results'); // nothing left in Ana's hand
+    });
+});
+
+describe('removeFromGame', () => {
+    test('posts a chat system message, like leaving the lobby does', () => {
+        const sent = [];
+        const recordingIo = { ...io, emit: (event, payload) => sent.push([event, payload]) };
+        const { room } = createRoom('sock-a', 'Ana');
+        ['Ben', 'Cy', 'Di'].forEach((name) => joinRoom(`sock-${name}`, room.code, name));
+        startGame(room.code, 'sock-a');
+        const [, ben, cy] = room.players;
+
+        removeFromGame(recordingIo, room, ben, 'left');
+        removeFromGame(recordingIo, room, cy, 'afk');
+
+        const messages = sent.filter(([event]) => event === 'chat:message').map(([, msg]) => msg);
+        expect(messages.map((m) => [m.system, m.text])).toEqual([
+            [true, 'Ben left.'],
+            [true, 'Cy was removed for being away.'],
+        ]);
+        expect(room.chat.slice(-2)).toEqual(messages);
+    });
+
+    test('a player leaving mid-game is dealt out and play carries on', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        joinRoom('sock-c', room.code, 'Cy');
+        startGame(room.code, 'sock-a');
+        const [ana, ben, cy] = room.players;
+        const drawCount = room.game.drawPile.length;
+
+        removeFromGame(io, room, ben, 'left');
+        expect(room.players).toEqual([ana, cy]);
+        expect(room.game.players[room.game.currentPlayerIndex]).toBe(ana);
+        expect(room.game.drawPile).toHaveLength(drawCount + 7);
+        expect(room.phase).toBe('game');
+
+        removeFromGame(io, room, ana, 'left');
+        expect(room.hostId).toBe(cy.id);
+        expect(room.phase).toBe('results');
+        expect(room.game.winner).toBe('Cy');
+    });
+});
+
+describe('team games', () => {
+    test('game:ended ranks the teams, winners first', () => {
+        const sent = [];
+        const recordingIo = { ...io, emit: (event, payload) => sent.push([event, payload]) };
+        const { room } = createRoom('sock-a', 'Ana');
+        ['Ben', 'Cy', 'Di'].forEach((name) => joinRoom(`sock-${name}`, room.code, name));
+        room.rules.teamMode = true;
+        room.players.forEach((p, i) => { p.team = i < 2 ? 1 : 2; });
+        startGame(room.code, 'sock-a');
+
+        const game = room.game;
+        game.currentColor = 'red';
+        game.discardPile.push({ id: 900, color: 'red', type: 'number', value: 5 });
+        game.players[0].hand = [{ id: 901, color: 'red', type: 'number', value: 1 }];
+        playCard(recordingIo, room, game.players[0].id, { cardId: 901, version: game.version });
+
+        const [, ended] = sent.find(([event]) => event === 'game:ended');
+        expect(ended.teams.map((t) => [t.rank, t.team])).toEqual([[1, 1], [2, 2]]);
+        expect(ended.rankings.map((r) => [r.nickname, r.rank])).toEqual([['Ana', 1], ['Ben', 1], ['Cy', 2], ['Di', 2]]);
+    });
+
+    test('a replayed team game carries on past a removal just like the live one', () => {
+        const sent = [];
+        const recordingIo = { ...io, emit: (event, payload) => sent.push([event, payload]) };
+        const { room } = createRoom('sock-a', 'Ana');
+        ['Ben', 'Cy', 'Di'].forEach((name) => joinRoom(`sock-${name}`, room.code, name));
+        room.rules.teamMode = true;
+        room.players.forEach((p, i) => { p.team = i < 2 ? 1 : 2; });
+        startGame(room.code, 'sock-a');
+
+        const [, ben, cy, di] = room.players;
+        removeFromGame(recordingIo, room, ben, 'left'); // Ana still plays for team 1
+        expect(room.phase).toBe('game');
+        expect(room.game.players).toHaveLength(3);
+        removeFromGame(recordingIo, room, cy, 'left');
+        removeFromGame(recordingIo, room, di, 'left');
+        expect(room.game).toMatchObject({ phase: 'results', winner: 'Ana', winningTeam: 1 });
+
+        const [, ended] = sent.find(([event]) => event === 'game:ended');
+        const replay = getReplay(ended.replayId);
+        expect(replay.players.map((p) => [p.nickname, p.team])).toEqual([['Ana', 1], ['Cy', 2], ['Ben', 1], ['Di', 2]]); // seats alternate
+        const steps = [...replayGame(replay)];
+        const removed = steps.filter((step) => step.entry.type === 'remove');
+        expect(removed.map((step) => step.state.phase)).toEqual(['game', 'game', 'results']);
+        expect(steps.at(-1).state).toMatchObject({ phase: 'results', winner: 'Ana', winningTeam: 1 });
+    });
+});
+
+describe('player profiles', () => {
+    test('a finished game is added to the signed-in players\' profiles', () => {
+        const room = startedRoom();
+        const [ana, ben] = room.players;
+        ana.profileId = signIn(undefined, 'Ana').profile.id;
+        ben.profileId = signIn(undefined, 'Ben').profile.id;
+        const game = room.game;
+
+        ben.hand = [{ id: 950, color: 'blue', type: 'number', value: 3 }];
+        ben.lastCardAt = 0; // long past the grace period
+        accuseClash(io, room, ana.id, ben.id, game.version);
+        playCard(io, room, ana.id, { cardId: 901, version: game.version });
+        game.currentPlayerIndex = 0;
+        playCard(io, room, ana.id, { cardId: 902, version: game.version });
+
+        expect(room.phase).toBe('results');
+        expect(getProfile(ana.profileId)).toMatchObject({ games: 1, wins: 1, cardsPlayed: 2 });
+        expect(getProfile(ana.profileId).rating).toBeGreaterThan(START_RATING);
+        expect(getProfile(ben.profileId)).toMatchObject({ games: 1, wins: 0, clashPenalties: 1 });
+    });
+
+    test('leaving early counts as finishing last', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        joinRoom('sock-c', room.code, 'Cy');
+        startGame(room.code, 'sock-a');
+        const [, ben, cy] = room.players;
+        ben.profileId = signIn(undefined, 'Ben').profile.id;
+
+        removeFromGame(io, room, ben, 'left');
+        removeFromGame(io, room, cy, 'left');
+
+        expect(room.phase).toBe('results');
+        expect(getProfile(ben.profileId)).toMatchObject({ games: 1, wins: 0, rankTotal: 3 });
+    });
+});
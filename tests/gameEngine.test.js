@@ -4,12 +4,39 @@
 
 const {
     createDeck,
+    decksFor,
+    enoughCards,
     shuffle,
+    createSeed,
+    hashSeed,
+    seededRandom,
     isValidPlay,
+    canJumpIn,
+    registerCardType,
     applyCardEffect,
+    cardEvent,
     drawCards,
+    resolvePendingDraw,
+    resolveDrawFourChallenge,
     checkWin,
+    cardPoints,
+    scoreRound,
+    startNextRound,
     reshuffleDiscardIntoDraw,
+    createGame,
+    recordAction,
+    playFromHand,
+    takeDrawTurn,
+    timeoutTurn,
+    removePlayer,
+    settleWin,
+    replayGame,
+    inClashGrace,
+    nextPlayerIndex,
+    teamStandings,
+    topCard,
+    publicGameState,
+    CARD_TYPES,
 } = require('../src/gameEngine');
 
 describe('createDeck', () => {
@@ -22,6 +49,11 @@ describe('createDeck', () => {
         expect(zeros).toHaveLength(4);
     });
 
+    test('gives every card a unique id', () => {
+        const ids = createDeck().map((c) => c.id);
+        expect(new Set(ids).size).toBe(108);
+    });
+
     test('has 8 wild cards total (4 wild + 4 wild_draw_four)', () => {
         const deck = createDeck();
         expect(deck.filter((c) => c.type === 'wild')).toHaveLength(4);
@@ -32,6 +64,60 @@ describe('createDeck', () => {
         const deck = createDeck();
         expect(deck.filter((c) => c.type === 'skip')).toHaveLength(8);
     });
+
+    test('puts several decks together, still with unique ids', () => {
+        const deck = createDeck(3);
+        expect(deck).toHaveLength(324);
+        expect(new Set(deck.map((c) => c.id)).size).toBe(324);
+        expect(deck.filter((c) => c.type === 'wild_draw_four')).toHaveLength(12);
+        expect(createDeck(1)).toEqual(createDeck()); // one deck is the same as before
+    });
+
+    test('adds optional cards only when their rule is on', () => {
+        const deck = createDeck(1, { skipEveryone: true, discardColor: true, wildShuffle: true, drawColor: true });
+        expect(deck).toHaveLength(108 + 4 + 4 + 1 + 2);
+        expect(deck.filter((c) => c.type === 'skip_everyone').map((c) => c.color)).toEqual(['red', 'blue', 'green', 'yellow']);
+        expect(deck.filter((c) => c.type === 'wild_draw_color')).toHaveLength(2);
+        expect(createDeck(1, { wildShuffle: false })).toEqual(createDeck());
+    });
+});
+
+describe('multiple decks', () => {
+    const table = (n) => Array.from({ length: n }, (_, i) => ({ id: `p${i}`, nickname: `P${i}` }));
+
+    test('decksFor adds a deck per 42 cards dealt, up to 4', () => {
+        expect(decksFor(4)).toBe(1);
+        expect(decksFor(6)).toBe(1);
+        expect(decksFor(8)).toBe(2);
+        expect(decksFor(16)).toBe(3);
+        expect(decksFor(16, 12)).toBe(4);
+    });
+
+    test('enoughCards keeps at least half the deck back', () => {
+        expect(enoughCards(7, 7, 1)).toBe(true);
+        expect(enoughCards(8, 7, 1)).toBe(false);
+        expect(enoughCards(16, 12, 4)).toBe(true);
+    });
+
+    test('a 16-player game deals from the bigger deck and flips a non-wild', () => {
+        const game = createGame(table(16), {}, { decks: 3 });
+        expect(game.players.every((p) => p.hand.length === 7)).toBe(true);
+        expect(game.drawPile).toHaveLength(324 - 16 * 7 - 1);
+        expect(topCard(game).color).not.toBe('wild');
+        expect(game.currentColor).toBe(topCard(game).color);
+        expect(publicGameState(game)).toMatchObject({ decks: 3, drawPileCount: 324 - 16 * 7 - 1 });
+    });
+
+    test('reshuffles and new rounds keep every card of every deck', () => {
+        const game = createGame(table(12), {}, { decks: 2 });
+        game.discardPile.push(...game.drawPile.splice(0));
+        reshuffleDiscardIntoDraw(game);
+        const held = game.players.reduce((n, p) => n + p.hand.length, 0);
+        expect(game.drawPile.length + game.discardPile.length + held).toBe(216);
+
+        startNextRound(game);
+        expect(game.drawPile.length + 1 + 12 * 7).toBe(216);
+    });
 });
 
 describe('shuffle', () => {
@@ -48,6 +134,58 @@ describe('shuffle', () => {
     });
 });
 
+describe('seeded shuffles', () => {
+    const players = [{ id: 'a', nickname: 'A' }, { id: 'b', nickname: 'B' }];
+
+    test('the same seed deals the same game', () => {
+        const seed = createSeed();
+        const a = createGame(players, {}, { seed });
+        const b = createGame(players, {}, { seed });
+        expect(a.drawPile).toEqual(b.drawPile);
+        expect(a.players.map((p) => p.hand)).toEqual(b.players.map((p) => p.hand));
+        expect(createGame(players, {}, { seed: createSeed() }).drawPile).not.toEqual(a.drawPile);
+    });
+
+    test('the revealed seed reproduces the deck from its published hash', () => {
+        const seed = createSeed();
+        const game = createGame(players, {}, { seed, record: true });
+        expect(game.seedHash).toBe(hashSeed(seed));
+
+        let n = 0;
+        const deck = shuffle(createDeck(), () => seededRandom(seed, n++));
+        expect(game.log[0].deck).toEqual(deck);
+    });
+
+    test('reshuffles carry on from the same seed', () => {
+        const seed = createSeed();
+        const reshuffled = () => {
+            const game = createGame(players, {}, { seed });
+            game.discardPile.push(...game.drawPile.splice(0));
+            reshuffleDiscardIntoDraw(game);
+            return game.drawPile;
+        };
+        expect(reshuffled()).toEqual(reshuffled());
+    });
+});
+
+describe('room settings', () => {
+    const players = [{ id: 'a', nickname: 'A' }, { id: 'b', nickname: 'B' }];
+
+    test('deals handSize cards, every round', () => {
+        const game = createGame(players, {}, { handSize: 4 });
+        expect(game.players.map((p) => p.hand.length)).toEqual([4, 4]);
+        startNextRound(game);
+        expect(game.players.map((p) => p.hand.length)).toEqual([4, 4]);
+    });
+
+    test('the Color Clash grace period follows clashGraceMs', () => {
+        const game = createGame(players, {}, { clashGraceMs: 2000 });
+        const player = { lastCardAt: 10000 };
+        expect(inClashGrace(game, player, 11999)).toBe(true);
+        expect(inClashGrace(game, player, 12000)).toBe(false);
+    });
+});
+
 describe('isValidPlay', () => {
     const top = { color: 'red', type: 'number', value: 5 };
 
@@ -80,6 +218,80 @@ describe('isValidPlay', () => {
         const wildTop = { color: 'wild', type: 'wild' };
         expect(isValidPlay({ color: 'green', type: 'number', value: 1 }, wildTop, 'green')).toBe(true);
     });
+
+    test('only draw cards answer a pending penalty', () => {
+        const drawTop = { color: 'red', type: 'draw_two' };
+        expect(isValidPlay({ color: 'red', type: 'number', value: 3 }, drawTop, 'red', 2)).toBe(false);
+        expect(isValidPlay({ color: 'blue', type: 'draw_two' }, drawTop, 'red', 2)).toBe(true);
+        expect(isValidPlay({ color: 'wild', type: 'wild_draw_four' }, drawTop, 'red', 2)).toBe(true);
+    });
+});
+
+describe('card registry', () => {
+    afterAll(() => { delete CARD_TYPES.test_card; });
+
+    test('a registered card type gets a deck count, matching, effect and event', () => {
+        registerCardType('test_card', {
+            rule: 'testCards',
+            perDeck: 3,
+            points: 30,
+            matches: (card, top) => top.type === 'skip',
+            effect(game) {
+                game.currentPlayerIndex = 1;
+                return { tested: true };
+            },
+            event: (game, { by, effect }) => ['tested', { by, ...effect }],
+        });
+        const card = { color: 'red', type: 'test_card' };
+        expect(createDeck(1, { testCards: true }).filter((c) => c.type === 'test_card')).toHaveLength(12);
+        expect(cardPoints(card)).toBe(30);
+        expect(isValidPlay(card, { color: 'blue', type: 'skip' }, 'blue')).toBe(true);
+        expect(isValidPlay(card, { color: 'blue', type: 'test_card' }, 'blue')).toBe(false);
+
+        const game = { players: [{}, {}], currentPlayerIndex: 0, currentColor: 'blue' };
+        const effect = applyCardEffect(game, card, null);
+        expect(game).toMatchObject({ currentPlayerIndex: 1, currentColor: 'red' });
+        expect(cardEvent(game, card, { by: 'A', effect })).toEqual(['tested', { by: 'A', tested: true }]);
+    });
+
+    test('cards without an event of their own are reported as a plain play', () => {
+        const card = { color: 'red', type: 'number', value: 3 };
+        expect(cardEvent({ rules: {} }, card, { by: 'A' })).toEqual(['play', { by: 'A', card }]);
+    });
+
+    test('stacked draw cards are reported as a growing stack', () => {
+        const game = { rules: { stacking: true } };
+        expect(cardEvent(game, { color: 'red', type: 'draw_two' }, { by: 'A', target: 'B', stackedBefore: 4 }))
+            .toEqual(['draw_stack', { by: 'A', target: 'B', count: 2, total: 6 }]);
+    });
+});
+
+describe('canJumpIn', () => {
+    function jumpGame(top, rules = { jumpIn: true }) {
+        return { rules, discardPile: [top], pendingDraw: 0, pendingChallenge: null };
+    }
+
+    test('allows an identical card', () => {
+        const game = jumpGame({ color: 'blue', type: 'number', value: 7 });
+        expect(canJumpIn(game, { color: 'blue', type: 'number', value: 7 })).toBe(true);
+        expect(canJumpIn(game, { color: 'blue', type: 'number', value: 6 })).toBe(false);
+        expect(canJumpIn(game, { color: 'red', type: 'number', value: 7 })).toBe(false);
+    });
+
+    test('never allows wilds', () => {
+        const game = jumpGame({ color: 'wild', type: 'wild' });
+        expect(canJumpIn(game, { color: 'wild', type: 'wild' })).toBe(false);
+    });
+
+    test('is off unless the room enables it', () => {
+        const game = jumpGame({ color: 'red', type: 'skip' }, {});
+        expect(canJumpIn(game, { color: 'red', type: 'skip' })).toBe(false);
+    });
+
+    test('is blocked while a penalty is pending', () => {
+        const game = { ...jumpGame({ color: 'red', type: 'draw_two' }), pendingDraw: 2 };
+        expect(canJumpIn(game, { color: 'red', type: 'draw_two' })).toBe(false);
+    });
 });
 
 describe('applyCardEffect', () => {
@@ -140,6 +352,270 @@ describe('applyCardEffect', () => {
         expect(game.currentColor).toBe('green');
         expect(game.currentPlayerIndex).toBe(2);
     });
+
+    describe('with stacking', () => {
+        test('draw_two passes the penalty on instead of drawing', () => {
+            const game = { ...makeGame(), rules: { stacking: true }, pendingDraw: 0 };
+            const before = game.players[1].hand.length;
+            applyCardEffect(game, { color: 'red', type: 'draw_two' }, null);
+            expect(game.players[1].hand.length).toBe(before);
+            expect(game.pendingDraw).toBe(2);
+            expect(game.currentPlayerIndex).toBe(1);
+        });
+
+        test('stacked penalties accumulate and are drawn by whoever resolves them', () => {
+            const game = { ...makeGame(), rules: { stacking: true }, pendingDraw: 0 };
+            applyCardEffect(game, { color: 'red', type: 'draw_two' }, null);
+            applyCardEffect(game, { color: 'wild', type: 'wild_draw_four' }, 'blue');
+            expect(game.pendingDraw).toBe(6);
+            expect(game.currentPlayerIndex).toBe(2);
+
+            const before = game.players[2].hand.length;
+            expect(resolvePendingDraw(game)).toBe(6);
+            expect(game.players[2].hand.length).toBe(before + 6);
+            expect(game.pendingDraw).toBe(0);
+            expect(game.currentPlayerIndex).toBe(0);
+        });
+    });
+
+    describe('with Seven-O', () => {
+        function sevenOGame() {
+            const game = { ...makeGame(), rules: { sevenO: true } };
+            game.players.forEach((p, i) => {
+                p.hand = Array(i + 1).fill({ color: 'blue', type: 'number', value: i });
+            });
+            return game;
+        }
+
+        test('7 swaps hands with the chosen player', () => {
+            const game = sevenOGame();
+            const [mine, theirs] = [game.players[0].hand, game.players[2].hand];
+            applyCardEffect(game, { color: 'red', type: 'number', value: 7 }, null, 2);
+            expect(game.players[0].hand).toBe(theirs);
+            expect(game.players[2].hand).toBe(mine);
+            expect(game.currentPlayerIndex).toBe(1);
+        });
+
+        test('0 passes every hand one seat in the play direction', () => {
+            const game = sevenOGame();
+            const hands = game.players.map((p) => p.hand);
+            applyCardEffect(game, { color: 'red', type: 'number', value: 0 }, null);
+            expect(game.players.map((p) => p.hand)).toEqual([hands[2], hands[0], hands[1]]);
+        });
+
+        test('recomputes clash flags for the new hands', () => {
+            const game = sevenOGame();
+            game.players[0].clashSafe = true;
+            applyCardEffect(game, { color: 'red', type: 'number', value: 0 }, null);
+            expect(game.players[0].hand).toHaveLength(3);
+            expect(game.players[0].clashSafe).toBe(false);
+            expect(game.players[0].lastCardAt).toBeNull();
+            expect(game.players[1].hand).toHaveLength(1);
+            expect(game.players[1].lastCardAt).toEqual(expect.any(Number));
+        });
+    });
+
+    describe('with Draw Four challenges', () => {
+        function challengeGame(playerHand) {
+            const game = { ...makeGame(), rules: { drawFourChallenge: true }, pendingChallenge: null };
+            game.players[0].hand = playerHand;
+            applyCardEffect(game, { color: 'wild', type: 'wild_draw_four' }, 'blue');
+            return game;
+        }
+
+        test('holds the penalty and hands the decision to the victim', () => {
+            const game = challengeGame([{ color: 'green', type: 'number', value: 4 }]);
+            expect(game.pendingChallenge).toMatchObject({ playerIndex: 0, victimIndex: 1 });
+            expect(game.players[1].hand).toHaveLength(5);
+            expect(game.currentPlayerIndex).toBe(1);
+        });
+
+        test('accepting draws 4 and skips the victim', () => {
+            const game = challengeGame([{ color: 'green', type: 'number', value: 4 }]);
+            const result = resolveDrawFourChallenge(game, false);
+            expect(result).toMatchObject({ drawerIndex: 1, count: 4 });
+            expect(game.players[1].hand).toHaveLength(9);
+            expect(game.currentPlayerIndex).toBe(2);
+            expect(game.pendingChallenge).toBeNull();
+        });
+
+        test('a caught bluff makes the player draw 4 and the victim plays on', () => {
+            const game = challengeGame([{ color: 'red', type: 'number', value: 4 }]);
+            const result = resolveDrawFourChallenge(game, true);
+            expect(result).toMatchObject({ bluffed: true, drawerIndex: 0, count: 4 });
+            expect(result.hand).toEqual([{ color: 'red', type: 'number', value: 4 }]);
+            expect(game.players[0].hand).toHaveLength(5);
+            expect(game.currentPlayerIndex).toBe(1);
+        });
+
+        test('a failed challenge costs the challenger 6 and their turn', () => {
+            const game = challengeGame([{ color: 'green', type: 'number', value: 4 }]);
+            const result = resolveDrawFourChallenge(game, true);
+            expect(result).toMatchObject({ bluffed: false, drawerIndex: 1, count: 6 });
+            expect(game.players[1].hand).toHaveLength(11);
+            expect(game.currentPlayerIndex).toBe(2);
+        });
+    });
+});
+
+describe('optional cards', () => {
+    function cardGame(hands, rules = {}) {
+        const players = hands.map((hand, i) => ({ id: `p${i}`, nickname: `P${i}`, hand, clashSafe: false }));
+        const game = createGame(players, rules);
+        game.players.forEach((p, i) => { p.hand = hands[i]; });
+        game.discardPile = [{ color: 'red', type: 'number', value: 5 }];
+        game.currentColor = 'red';
+        return game;
+    }
+    const red = (value) => ({ color: 'red', type: 'number', value });
+    const blue = (value) => ({ color: 'blue', type: 'number', value });
+
+    test('Skip Everyone gives the player another turn', () => {
+        const game = cardGame([[{ color: 'red', type: 'skip_everyone' }, red(1)], [red(2)], [red(3)]]);
+        const { effect } = playFromHand(game, 0, 0, null, -1);
+        expect(game.currentPlayerIndex).toBe(0);
+        expect(cardEvent(game, topCard(game), { by: 'P0', effect })).toEqual(['skip_everyone', { by: 'P0' }]);
+    });
+
+    test('Discard All discards every card of its color, keeping itself on top', () => {
+        const card = { color: 'red', type: 'discard_color' };
+        const game = cardGame([[card, red(1), blue(2), red(3)], [red(2)], [red(3)]]);
+        const { won, effect } = playFromHand(game, 0, 0, null, -1);
+        expect(won).toBe(false);
+        expect(effect).toEqual({ count: 2 });
+        expect(game.players[0].hand).toEqual([blue(2)]);
+        expect(game.players[0].lastCardAt).not.toBeNull();
+        expect(game.discardPile).toHaveLength(4);
+        expect(topCard(game)).toBe(card);
+        expect(game.currentPlayerIndex).toBe(1);
+    });
+
+    test('Discard All wins the hand if nothing else is left', () => {
+        const game = cardGame([[{ color: 'red', type: 'discard_color' }, red(1)], [red(2)]]);
+        expect(playFromHand(game, 0, 0, null, -1).won).toBe(true);
+    });
+
+    test('Wild Shuffle Hands pools every hand and deals it out again from the next player', () => {
+        const game = cardGame([[{ color: 'wild', type: 'wild_shuffle' }, red(1), red(2)], [red(3)], [red(4), red(5)]]);
+        playFromHand(game, 0, 0, 'blue', -1);
+        expect(game.players.map((p) => p.hand.length)).toEqual([1, 2, 2]);
+        expect(game.players.flatMap((p) => p.hand).map((c) => c.value).sort()).toEqual([1, 2, 3, 4, 5]);
+        expect(game.currentColor).toBe('blue');
+        expect(game.currentPlayerIndex).toBe(1);
+    });
+
+    test('Wild Draw Color makes the next player draw until the color turns up, then skips them', () => {
+        const game = cardGame([[{ color: 'wild', type: 'wild_draw_color' }, red(1)], [red(2)], [red(3)]]);
+        const wild = { color: 'wild', type: 'wild' };
+        game.drawPile = [blue(8), blue(9), red(7), wild, red(6)]; // drawn from the end
+        const { effect } = playFromHand(game, 0, 0, 'blue', -1);
+        expect(effect).toEqual({ count: 4 });
+        expect(game.players[1].hand).toEqual([red(2), red(6), wild, red(7), blue(9)]);
+        expect(game.drawPile).toEqual([blue(8)]);
+        expect(game.currentPlayerIndex).toBe(2);
+    });
+
+    test('Wild Draw Color stops when the pile runs dry', () => {
+        const game = cardGame([[{ color: 'wild', type: 'wild_draw_color' }, red(1)], [red(2)], [red(3)]]);
+        game.drawPile = [red(7), red(8)]; // and the red 5 under the wild, reshuffled
+        expect(playFromHand(game, 0, 0, 'green', -1).effect).toEqual({ count: 3 });
+        expect(game.drawPile).toEqual([]);
+        expect(game.currentPlayerIndex).toBe(2);
+    });
+});
+
+describe('removePlayer', () => {
+    function fourPlayers() {
+        const players = ['a', 'b', 'c', 'd'].map((id) => ({ id, nickname: id.toUpperCase() }));
+        return createGame(players, {});
+    }
+
+    test('their hand goes to the bottom of the draw pile and the next seat plays', () => {
+        const game = fourPlayers();
+        game.currentPlayerIndex = 1;
+        const hand = [...game.players[1].hand];
+        const drawCount = game.drawPile.length;
+
+        const { player, over } = removePlayer(game, 1);
+        expect(player.id).toBe('b');
+        expect(over).toBe(false);
+        expect(game.drawPile).toHaveLength(drawCount + hand.length);
+        expect(game.drawPile.slice(0, hand.length)).toEqual(hand);
+        expect(game.players[game.currentPlayerIndex].id).toBe('c');
+    });
+
+    test('keeps the turn order in reverse and when someone else leaves', () => {
+        const game = fourPlayers();
+        game.direction = -1;
+        game.currentPlayerIndex = 0;
+        game.pendingDraw = 4;
+        removePlayer(game, 0);
+        expect(game.players[game.currentPlayerIndex].id).toBe('d');
+        expect(game.pendingDraw).toBe(0); // the penalty left with them
+
+        removePlayer(game, 0); // b, who sits before d
+        expect(game.players[game.currentPlayerIndex].id).toBe('d');
+    });
+
+    test('a Draw Four waiting on them lapses; the last player left wins', () => {
+        const game = fourPlayers();
+        game.pendingChallenge = { playerIndex: 0, victimIndex: 1, hand: [], bluffed: false };
+        game.currentPlayerIndex = 1;
+        removePlayer(game, 1);
+        expect(game.pendingChallenge).toBeNull();
+
+        removePlayer(game, 0);
+        expect(removePlayer(game, 0).over).toBe(true);
+        expect(game.winner).toBe('D');
+        expect(game.phase).toBe('results');
+    });
+});
+
+describe('team mode', () => {
+    // Seats alternate: a (team 1), b (team 2), c (team 1), d (team 2)
+    function teamGame(rules) {
+        const players = ['a', 'b', 'c', 'd'].map((id, i) => ({ id, nickname: id.toUpperCase(), team: (i % 2) + 1 }));
+        const game = createGame(players, { teamMode: true, ...rules });
+        game.currentColor = 'red';
+        game.discardPile = [{ id: 200, color: 'red', type: 'number', value: 5 }];
+        return game;
+    }
+
+    test('a team wins as soon as one member goes out', () => {
+        const game = teamGame({});
+        game.players[2].hand = [{ id: 201, color: 'red', type: 'number', value: 1 }];
+        expect(playFromHand(game, 2, 0).won).toBe(true);
+        settleWin(game, 2);
+        expect(game.winningTeam).toBe(1);
+    });
+
+    test('with teamAllOut, members who are out sit out until their partner finishes', () => {
+        const game = teamGame({ teamAllOut: true });
+        game.players[0].hand = [{ id: 201, color: 'red', type: 'number', value: 1 }];
+        expect(playFromHand(game, 0, 0).won).toBe(false);
+        expect(game.currentPlayerIndex).toBe(1);
+
+        game.currentPlayerIndex = 3;
+        expect(nextPlayerIndex(game)).toBe(1); // passes over a
+        game.players[2].hand = [{ id: 202, color: 'red', type: 'number', value: 2 }];
+        expect(playFromHand(game, 2, 0).won).toBe(true);
+    });
+
+    test('standings add up each team\'s cards, fewest first', () => {
+        const game = teamGame({});
+        game.players[1].hand = [];
+        expect(teamStandings(game)).toEqual([
+            { team: 2, playerIds: ['b', 'd'], cardCount: 7 },
+            { team: 1, playerIds: ['a', 'c'], cardCount: 14 },
+        ]);
+    });
+
+    test('the game ends once a single team is left', () => {
+        const game = teamGame({});
+        expect(removePlayer(game, 1).over).toBe(false);
+        expect(removePlayer(game, 2).over).toBe(true); // d, now at seat 2
+        expect(game.winningTeam).toBe(1);
+    });
 });
 
 describe('checkWin', () => {
@@ -151,6 +627,47 @@ describe('checkWin', () => {
     });
 });
 
+describe('points mode', () => {
+    function roundGame() {
+        return {
+            round: 1,
+            rounds: [],
+            players: [
+                { id: 'p0', nickname: 'P0', hand: [], score: 40 },
+                { id: 'p1', nickname: 'P1', hand: [{ color: 'red', type: 'number', value: 8 }, { color: 'blue', type: 'skip' }] },
+                { id: 'p2', nickname: 'P2', hand: [{ color: 'wild', type: 'wild_draw_four' }] },
+            ],
+        };
+    }
+
+    test('cardPoints uses face value, 20 for actions, 50 for wilds', () => {
+        expect(cardPoints({ color: 'red', type: 'number', value: 7 })).toBe(7);
+        expect(cardPoints({ color: 'red', type: 'reverse' })).toBe(20);
+        expect(cardPoints({ color: 'wild', type: 'wild' })).toBe(50);
+    });
+
+    test('scoreRound credits the winner with opponents\' cards', () => {
+        const game = roundGame();
+        const round = scoreRound(game, 0);
+        expect(round.points).toBe(78);
+        expect(game.players[0].score).toBe(118);
+        expect(game.rounds).toEqual([round]);
+        expect(round.hands.map((h) => h.points)).toEqual([28, 50]);
+    });
+
+    test('startNextRound re-deals a fresh deck and rotates the first turn', () => {
+        const game = { ...roundGame(), direction: -1, pendingDraw: 4 };
+        startNextRound(game);
+        expect(game.round).toBe(2);
+        expect(game.currentPlayerIndex).toBe(1);
+        expect(game.direction).toBe(1);
+        expect(game.pendingDraw).toBe(0);
+        for (const p of game.players) expect(p.hand).toHaveLength(7);
+        expect(game.discardPile).toHaveLength(1);
+        expect(game.drawPile).toHaveLength(108 - 21 - 1);
+    });
+});
+
 describe('reshuffleDiscardIntoDraw', () => {
     test('moves discard (except top) to draw pile', () => {
         const game = {
@@ -162,3 +679,95 @@ describe('reshuffleDiscardIntoDraw', () => {
         expect(game.drawPile).toHaveLength(4);
     });
 });
+
+describe('replayGame', () => {
+    // Play a recorded game the way gameActions does: log, then apply
+    function playRecordedGame(rules, { playerCount = 3, deck } = {}) {
+        const players = Array.from({ length: playerCount }, (_, i) => ({ id: `p${i}`, nickname: `P${i}` }));
+        const game = createGame(players, rules, { record: true, deck });
+        for (let turn = 0; turn < 400 && game.phase === 'game'; turn++) {
+            const idx = game.currentPlayerIndex;
+            const hand = game.players[idx].hand;
+            const cardIndex = hand.findIndex((c) =>
+                isValidPlay(c, topCard(game), game.currentColor, game.pendingDraw));
+            if (turn % 7 === 3) {
+                recordAction(game, { type: 'timeout', player: idx, skip: false });
+                timeoutTurn(game, false);
+            } else if (cardIndex === -1) {
+                recordAction(game, { type: 'draw', player: idx });
+                takeDrawTurn(game);
+            } else {
+                const entry = { type: 'play', player: idx, cardIndex, chosenColor: 'green', swapTarget: -1 };
+                recordAction(game, entry);
+                const { won } = playFromHand(game, idx, cardIndex, 'green', -1);
+                if (won) settleWin(game, idx);
+            }
+        }
+        return { players, game };
+    }
+
+    function comparable(state) {
+        return {
+            hands: state.players.map((p) => p.hand),
+            drawPile: state.drawPile,
+            discardPile: state.discardPile,
+            currentPlayerIndex: state.currentPlayerIndex,
+            currentColor: state.currentColor,
+            direction: state.direction,
+            pendingDraw: state.pendingDraw,
+            winner: state.winner,
+        };
+    }
+
+    test('rebuilds the exact final state from the log', () => {
+        const { players, game } = playRecordedGame({ stacking: true });
+        const steps = [...replayGame({ players, rules: game.rules, log: game.log })];
+        const actions = game.log.filter((e) => e.type !== 'reshuffle');
+        expect(steps).toHaveLength(actions.length);
+        expect(comparable(steps[steps.length - 1].state)).toEqual(comparable(game));
+    });
+
+    test('deals the recorded hand size', () => {
+        const players = [{ id: 'a', nickname: 'A' }, { id: 'b', nickname: 'B' }];
+        const game = createGame(players, {}, { record: true, handSize: 3 });
+        const settings = { handSize: game.handSize, clashGraceMs: game.clashGraceMs };
+        const [first] = replayGame({ players, rules: {}, settings, log: game.log });
+        expect(first.state.players.map((p) => p.hand)).toEqual(game.players.map((p) => p.hand));
+    });
+
+    test('replays reshuffles in their recorded order', () => {
+        // All red, so every card plays; 20 cards leave just 5 to draw after the deal
+        const deck = Array.from({ length: 20 }, (_, i) => ({ color: 'red', type: 'number', value: i % 10 }));
+        const players = [{ id: 'a', nickname: 'A' }, { id: 'b', nickname: 'B' }];
+        const game = createGame(players, {}, { record: true, deck });
+
+        // A plays, B times out and draws — the sixth draw needs a reshuffle
+        for (let i = 0; i < 6; i++) {
+            recordAction(game, { type: 'play', player: 0, cardIndex: 0, swapTarget: -1 });
+            playFromHand(game, 0, 0, null, -1);
+            recordAction(game, { type: 'timeout', player: 1, skip: false });
+            timeoutTurn(game, false);
+        }
+        expect(game.log.filter((e) => e.type === 'reshuffle')).toHaveLength(1);
+
+        const steps = [...replayGame({ players, rules: {}, log: game.log })];
+        expect(comparable(steps[steps.length - 1].state)).toEqual(comparable(game));
+    });
+
+    test('replays Wild Shuffle Hands in its recorded order', () => {
+        const deck = Array.from({ length: 24 }, (_, i) => ({ id: i, color: 'red', type: 'number', value: i % 10 }));
+        deck.push({ id: 24, color: 'wild', type: 'wild_shuffle' }); // dealt first
+        const players = [{ id: 'a', nickname: 'A' }, { id: 'b', nickname: 'B' }, { id: 'c', nickname: 'C' }];
+        const rules = { wildShuffle: true };
+        const game = createGame(players, rules, { record: true, deck });
+        const cardIndex = game.players[0].hand.findIndex((c) => c.type === 'wild_shuffle');
+
+        recordAction(game, { type: 'play', player: 0, cardIndex, chosenColor: 'blue', swapTarget: -1 });
+        playFromHand(game, 0, cardIndex, 'blue', -1);
+        expect(game.log.filter((e) => e.type === 'shuffle')).toHaveLength(1);
+
+        const steps = [...replayGame({ players, rules, log: game.log })];
+        expect(steps).toHaveLength(2);
+        expect(comparable(steps[1].state)).toEqual(comparable(game));
+    });
+});
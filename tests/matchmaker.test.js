@@ -0,0 +1,143 @@
+/**
+ * Color Clash – Matchmaking Tests
+ */
+
+const { createMatchmaker } = require('../src/matchmaker');
+const { deleteRoom, getRoomBySocket, rooms } = require('../src/roomManager');
+const { clearTurnTimer } = require('../src/gameActions');
+
+// Records every emit as [target, event, payload]
+function fakeIo() {
+    const emitted = [];
+    const io = {
+        emitted,
+        sockets: { sockets: new Map() },
+        to(target) {
+            return {
+                except() { return this; },
+                emit: (event, payload) => emitted.push([target, event, payload]),
+            };
+        },
+        connect(id) {
+            const socket = { id, join: jest.fn() };
+            io.sockets.sockets.set(id, socket);
+            return socket;
+        },
+        sent(target, event) {
+            return emitted.filter(([t, e]) => t === target && e === event).map(([, , p]) => p);
+        },
+    };
+    return io;
+}
+
+const OPTIONS = { countdownMs: 5000, fillAfterMs: 30000, tickMs: 1000 };
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => {
+    for (const code of [...rooms.keys()]) {
+        clearTurnTimer(code);
+        deleteRoom(code);
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('createMatchmaker', () => {
+    test('a full group gets a room, then the game starts after the countdown', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+        const [a, b] = [io.connect('s1'), io.connect('s2')];
+
+        expect(matchmaker.queue(a, { nickname: 'Ana', players: 2, variant: 'stacking' }))
+            .toMatchObject({ ok: true, position: 1, queued: 1, needed: 2 });
+        matchmaker.queue(b, { nickname: 'Ben', players: 2, variant: 'stacking' });
+
+        const room = getRoomBySocket('s1');
+        expect(getRoomBySocket('s2')).toBe(room);
+        expect(room.rules.stacking).toBe(true);
+        expect(b.join).toHaveBeenCalledWith(room.code);
+        const [found] = io.sent('s2', 'match:found');
+        expect(found.playerId).toBe(room.players[1].id);
+        expect(found.token).toBe(room.players[1].token);
+
+        expect(room.phase).toBe('lobby');
+        jest.advanceTimersByTime(OPTIONS.countdownMs);
+        expect(room.phase).toBe('game');
+    });
+
+    test('groups only match players with the same preferences', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+
+        matchmaker.queue(io.connect('s1'), { nickname: 'Ana', players: 2, variant: 'classic' });
+        matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 2, variant: 'sevenO' });
+        matchmaker.queue(io.connect('s3'), { nickname: 'Cy', players: 3, variant: 'classic' });
+
+        expect(rooms.size).toBe(0);
+    });
+
+    test('queued players are told their position and expected wait', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+
+        matchmaker.queue(io.connect('s1'), { nickname: 'Ana', players: 4 });
+        jest.advanceTimersByTime(10000);
+        const status = matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 4 });
+
+        expect(status).toMatchObject({ position: 2, queued: 2, etaMs: OPTIONS.fillAfterMs });
+        const ana = io.sent('s1', 'match:status').at(-1);
+        expect(ana).toMatchObject({ position: 1, queued: 2, etaMs: OPTIONS.fillAfterMs - 10000 });
+    });
+
+    test('after the wait, empty seats go to bots', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+
+        matchmaker.queue(io.connect('s1'), { nickname: 'Ana', players: 4 });
+        matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 4 });
+        jest.advanceTimersByTime(OPTIONS.fillAfterMs);
+
+        const room = getRoomBySocket('s1');
+        expect(room.players).toHaveLength(4);
+        expect(room.players.filter((p) => p.isBot)).toHaveLength(2);
+    });
+
+    test('without bots, the group starts at a smaller table', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+
+        matchmaker.queue(io.connect('s1'), { nickname: 'Ana', players: 4, allowBots: false });
+        jest.advanceTimersByTime(OPTIONS.fillAfterMs);
+        expect(rooms.size).toBe(0); // nobody to play with yet
+
+        matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 4 });
+        jest.advanceTimersByTime(OPTIONS.tickMs);
+        const room = getRoomBySocket('s1');
+        expect(room.players.map((p) => p.nickname)).toEqual(['Ana', 'Ben']);
+    });
+
+    test('players who leave or disconnect are dropped from the queue', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+        const a = io.connect('s1');
+
+        matchmaker.queue(a, { nickname: 'Ana', players: 2 });
+        expect(matchmaker.leave(a)).toBe(true);
+        expect(matchmaker.leave(a)).toBe(false);
+
+        matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 2 });
+        io.sockets.sockets.delete('s2'); // went away without a leave
+        matchmaker.queue(io.connect('s3'), { nickname: 'Cy', players: 2 });
+        expect(rooms.size).toBe(0);
+    });
+
+    test('a player already in a room cannot queue', () => {
+        const io = fakeIo();
+        const matchmaker = createMatchmaker(io, OPTIONS);
+        matchmaker.queue(io.connect('s1'), { nickname: 'Ana', players: 2 });
+        matchmaker.queue(io.connect('s2'), { nickname: 'Ben', players: 2 });
+
+        expect(matchmaker.queue(io.sockets.sockets.get('s1'), { nickname: 'Ana' }))
+            .toEqual({ ok: false, error: 'Leave your room before queueing.' });
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Color Clash – Player Profile Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    loadProfiles, signIn, getProfile, publicStats, leaderboard, recordGame, START_RATING,
+} = require('../src/profileStore');
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-clash-profiles-'));
+    loadProfiles(path.join(dir, 'profiles.json')); // a fresh, empty store per test
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('signIn', () => {
+    test('hands out a new profile and token, then finds it again by token', () => {
+        const { profile, token } = signIn(undefined, 'Ana');
+        expect(profile).toMatchObject({ nickname: 'Ana', rating: START_RATING, games: 0 });
+
+        const again = signIn(token, 'Ana B');
+        expect(again.profile).toBe(profile);
+        expect(again.token).toBe(token);
+        expect(profile.nickname).toBe('Ana B');
+    });
+
+    test('an unknown token gets a new profile instead', () => {
+        const { profile } = signIn(undefined, 'Ana');
+        const other = signIn('not-a-real-token', 'Ben');
+        expect(other.profile.id).not.toBe(profile.id);
+        expect(other.token).not.toBe('not-a-real-token');
+    });
+
+    test('profiles survive a restart; tokens are stored hashed', () => {
+        const file = path.join(dir, 'profiles.json');
+        const { profile, token } = signIn(undefined, 'Ana');
+        expect(fs.readFileSync(file, 'utf8')).not.toContain(token);
+
+        loadProfiles(file);
+        expect(getProfile(profile.id)).toMatchObject({ nickname: 'Ana' });
+        expect(signIn(token).profile.id).toBe(profile.id);
+    });
+});
+
+describe('recordGame', () => {
+    test('adds up wins, games, average rank and tallies', () => {
+        const ana = signIn(undefined, 'Ana').profile;
+        const ben = signIn(undefined, 'Ben').profile;
+        recordGame([
+            { profileId: ana.id, rank: 1, cardsPlayed: 12, drawFours: 1, clashPenalties: 0 },
+            { profileId: ben.id, rank: 2, cardsPlayed: 9, drawFours: 0, clashPenalties: 2 },
+        ]);
+        recordGame([
+            { profileId: ana.id, rank: 3, cardsPlayed: 5, drawFours: 0, clashPenalties: 1 },
+            { profileId: ben.id, rank: 1, cardsPlayed: 8, drawFours: 2, clashPenalties: 0 },
+        ]);
+
+        expect(publicStats(getProfile(ana.id))).toMatchObject({
+            games: 2, wins: 1, averageRank: 2, cardsPlayed: 17, drawFours: 1, clashPenalties: 1,
+        });
+        expect(publicStats(getProfile(ben.id))).toMatchObject({
+            games: 2, wins: 1, averageRank: 1.5, cardsPlayed: 17, drawFours: 2, clashPenalties: 2,
+        });
+    });
+
+    test('ratings move by finishing order and add up to nothing', () => {
+        const ids = ['Ana', 'Ben', 'Cy'].map((name) => signIn(undefined, name).profile.id);
+        recordGame(ids.map((profileId, i) => ({ profileId, rank: i + 1 })));
+
+        const [ana, ben, cy] = ids.map(getProfile);
+        expect(ana.rating).toBeCloseTo(START_RATING + 16);
+        expect(ben.rating).toBeCloseTo(START_RATING);
+        expect(cy.rating).toBeCloseTo(START_RATING - 16);
+    });
+
+    test('a favourite gains less for beating a weaker player', () => {
+        const ana = signIn(undefined, 'Ana').profile;
+        const ben = signIn(undefined, 'Ben').profile;
+        ana.rating = 1400;
+        recordGame([{ profileId: ana.id, rank: 1 }, { profileId: ben.id, rank: 2 }]);
+        expect(ana.rating - 1400).toBeGreaterThan(0);
+        expect(ana.rating - 1400).toBeLessThan(16);
+    });
+
+    test('tied players split the points between them', () => {
+        const ana = signIn(undefined, 'Ana').profile;
+        const ben = signIn(undefined, 'Ben').profile;
+        recordGame([{ profileId: ana.id, rank: 1 }, { profileId: ben.id, rank: 1 }]);
+        expect(ana.rating).toBe(START_RATING);
+        expect(ben.rating).toBe(START_RATING);
+        expect(ana.wins + ben.wins).toBe(2);
+    });
+
+    test('a lone profiled player gets stats but no rating change', () => {
+        const ana = signIn(undefined, 'Ana').profile;
+        recordGame([{ profileId: ana.id, rank: 1 }, { profileId: 'gone', rank: 2 }]);
+        expect(ana).toMatchObject({ games: 1, wins: 1, rating: START_RATING });
+    });
+});
+
+describe('leaderboard', () => {
+    test('ranks players who have played by rating', () => {
+        const ana = signIn(undefined, 'Ana').profile;
+        const ben = signIn(undefined, 'Ben').profile;
+        signIn(undefined, 'Cy'); // never played
+        recordGame([{ profileId: ben.id, rank: 1 }, { profileId: ana.id, rank: 2 }]);
+
+        expect(leaderboard().map((p) => [p.rank, p.nickname])).toEqual([[1, 'Ben'], [2, 'Ana']]);
+        expect(leaderboard({ limit: 1 })).toHaveLength(1);
+    });
+});
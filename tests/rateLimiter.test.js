@@ -0,0 +1,117 @@
+/**
+ * Color Clash – Socket Rate Limiting Tests
+ */
+
+const { createRateLimiter } = require('../src/rateLimiter');
+
+function fakeSocket(id, forwardedFor = '10.0.0.1') {
+    return {
+        id,
+        handshake: { address: '10.0.0.254', headers: { 'x-forwarded-for': forwardedFor } },
+        emit: jest.fn(),
+        disconnect: jest.fn(),
+    };
+}
+
+const LIMITS = {
+    chat: { capacity: 2, refillPerSec: 1 },
+    room: { capacity: 2, refillPerSec: 1 },
+    game: { capacity: 2, refillPerSec: 1 },
+    roomCreate: { capacity: 3, refillPerSec: 1 / 60 },
+    ipMultiplier: 2,
+    strikes: { capacity: 2, refillPerSec: 0.1 },
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+describe('createRateLimiter', () => {
+    test('lets a burst through, then rejects with an ack and a notice', () => {
+        const socket = fakeSocket('s1');
+        const handler = jest.fn();
+        const chat = createRateLimiter(LIMITS).guard(socket, 'chat:message', handler);
+        const ack = jest.fn();
+
+        chat({}, ack);
+        chat({}, ack);
+        chat({}, ack);
+
+        expect(handler).toHaveBeenCalledTimes(2);
+        expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false, code: 'RATE_LIMITED' }));
+        expect(socket.emit).toHaveBeenCalledWith('rate:limited',
+            { event: 'chat:message', retryAfterMs: 1000, disconnected: false });
+    });
+
+    test('budgets refill over time and are separate per namespace', () => {
+        const socket = fakeSocket('s1');
+        const handler = jest.fn();
+        const limiter = createRateLimiter(LIMITS);
+        const chat = limiter.guard(socket, 'chat:message', handler);
+        const draw = limiter.guard(socket, 'game:drawCard', handler);
+
+        chat({});
+        chat({});
+        chat({});
+        draw({});
+        expect(handler).toHaveBeenCalledTimes(3);
+
+        jest.advanceTimersByTime(1000);
+        chat({});
+        expect(handler).toHaveBeenCalledTimes(4);
+    });
+
+    test('without TRUST_PROXY every socket has its own budget, even from one address', () => {
+        const handler = jest.fn();
+        const limiter = createRateLimiter(LIMITS);
+        for (const id of ['s1', 's2', 's3', 's4']) {
+            const chat = limiter.guard(fakeSocket(id), 'chat:emoji', handler);
+            chat({});
+            chat({});
+            limiter.guard(fakeSocket(id), 'room:create', handler)({});
+        }
+        expect(handler).toHaveBeenCalledTimes(12);
+    });
+
+    test('disconnects a socket that keeps going after being limited', () => {
+        const socket = fakeSocket('s1');
+        const chat = createRateLimiter(LIMITS).guard(socket, 'chat:message', jest.fn());
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        for (let i = 0; i < 4; i++) chat({});
+        expect(socket.disconnect).not.toHaveBeenCalled();
+        chat({});
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+        expect(socket.emit).toHaveBeenLastCalledWith('rate:limited', expect.objectContaining({ disconnected: true }));
+        console.warn.mockRestore();
+    });
+
+    test('refuses to guard an event without a budget', () => {
+        expect(() => createRateLimiter().guard(fakeSocket('s1'), 'admin:wipe', jest.fn())).toThrow(/No rate limit/);
+    });
+
+    describe('behind a proxy', () => {
+        beforeEach(() => { process.env.TRUST_PROXY = '1'; });
+        afterEach(() => { delete process.env.TRUST_PROXY; });
+
+        test('sockets from one IP share a bigger budget', () => {
+            const handler = jest.fn();
+            const limiter = createRateLimiter(LIMITS);
+            for (const id of ['s1', 's2', 's3']) {
+                const chat = limiter.guard(fakeSocket(id), 'chat:emoji', handler);
+                chat({});
+                chat({});
+            }
+            expect(handler).toHaveBeenCalledTimes(4); // ipMultiplier × capacity
+        });
+
+        test('caps room creation per IP', () => {
+            const handler = jest.fn();
+            const limiter = createRateLimiter(LIMITS);
+            for (const id of ['s1', 's2', 's3', 's4']) {
+                limiter.guard(fakeSocket(id), 'room:create', handler)({});
+            }
+            expect(handler).toHaveBeenCalledTimes(3);
+            limiter.guard(fakeSocket('s5', '10.0.0.2'), 'room:create', handler)({});
+            expect(handler).toHaveBeenCalledTimes(4);
+        });
+    });
+});
@@ -0,0 +1,364 @@
+/**
+ * Color Clash – Room Manager Tests
+ */
+
+const {
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    quitRoom,
+    kickPlayer,
+    transferHost,
+    setTeam,
+    startGame,
+    reconnectPlayer,
+    spectateRoom,
+    isSpectator,
+    memberIdFor,
+    updateVisibility,
+    updateSettings,
+    addBot,
+    listPublicRooms,
+    deleteRoom,
+    rooms,
+} = require('../src/roomManager');
+
+afterEach(() => {
+    for (const code of [...rooms.keys()]) deleteRoom(code);
+});
+
+describe('player identity', () => {
+    test('players get a stable public id and a secret token, not their socket id', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        const { player } = joinRoom('sock-b', room.code, 'Ben');
+        expect(player.id).not.toBe('sock-b');
+        expect(player.token).toEqual(expect.any(String));
+        expect(player.token).not.toBe(room.players[0].token);
+        expect(room.hostId).toBe(room.players[0].id);
+    });
+
+    test('only the host can kick, by public id', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        const { player } = joinRoom('sock-b', room.code, 'Ben');
+        expect(kickPlayer(room.code, 'sock-b', room.players[0].id).error).toMatch(/host/);
+        expect(kickPlayer(room.code, 'sock-a', player.id).kicked).toBe(player);
+        expect(room.players).toHaveLength(1);
+    });
+});
+
+describe('system messages', () => {
+    test('joins and kicks are written into the chat history', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        const { player } = joinRoom('sock-b', room.code, 'Ben');
+        kickPlayer(room.code, 'sock-a', player.id);
+        expect(room.chat.map((m) => [m.system, m.text]))
+            .toEqual([[true, 'Ben joined.'], [true, 'Ben was removed by the host.']]);
+    });
+});
+
+describe('reconnectPlayer', () => {
+    jest.useFakeTimers();
+
+    function gameWithOfflineBen() {
+        const { room } = createRoom('sock-a', 'Ana');
+        const { player } = joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+        leaveRoom('sock-b');
+        return { room, ben: room.players.find((p) => p.id === player.id) };
+    }
+
+    afterEach(() => jest.clearAllTimers());
+
+    test('the session token takes the seat back on a new socket', () => {
+        const { room, ben } = gameWithOfflineBen();
+        const { player } = reconnectPlayer(room.code, ben.token, 'sock-b2');
+        expect(player).toBe(ben);
+        expect(ben).toMatchObject({ socketId: 'sock-b2', isConnected: true });
+    });
+
+    test('a nickname or stale socket id is not enough', () => {
+        const { room, ben } = gameWithOfflineBen();
+        expect(reconnectPlayer(room.code, undefined, 'sock-x', 'Ben').error).toBeDefined();
+        expect(reconnectPlayer(room.code, 'sock-b', 'sock-x').error).toBeDefined();
+        expect(ben.isConnected).toBe(false);
+    });
+});
+
+describe('finished games', () => {
+    afterEach(() => {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('are deleted once everyone has gone and their grace has run out', () => {
+        jest.useFakeTimers();
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+        room.phase = 'results';
+
+        leaveRoom('sock-a', null, () => {});
+        jest.advanceTimersByTime(10000);
+        leaveRoom('sock-b', null, () => {});
+        expect(rooms.has(room.code)).toBe(true); // both can still come back for the results
+
+        jest.advanceTimersByTime(room.settings.graceSec * 1000);
+        expect(rooms.has(room.code)).toBe(false);
+    });
+
+    test('stay open while someone is still connected', () => {
+        jest.useFakeTimers();
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+        room.phase = 'results';
+
+        leaveRoom('sock-b', null, () => {});
+        jest.advanceTimersByTime(room.settings.graceSec * 1000);
+        expect(rooms.has(room.code)).toBe(true);
+        expect(room.players.map((p) => p.nickname)).toEqual(['Ana']);
+    });
+});
+
+describe('private rooms and passwords', () => {
+    test('a password is needed to join or watch', () => {
+        const { room } = createRoom('sock-a', 'Ana', { password: 'hunter2' });
+        expect(joinRoom('sock-b', room.code, 'Ben').error).toBe('This room needs a password.');
+        expect(joinRoom('sock-b', room.code, 'Ben', 'hunter3').error).toBe('Wrong room password.');
+        expect(spectateRoom('sock-c', room.code, 'Cy').error).toBe('This room needs a password.');
+        expect(joinRoom('sock-b', room.code, 'Ben', 'hunter2').player).toBeDefined();
+        expect(JSON.stringify(room.password)).not.toContain('hunter2');
+    });
+
+    test('the host can clear the password', () => {
+        const { room } = createRoom('sock-a', 'Ana', { password: 'hunter2' });
+        expect(updateVisibility(room.code, 'sock-b', { password: '' }).error).toMatch(/host/);
+        updateVisibility(room.code, 'sock-a', { password: '' });
+        expect(joinRoom('sock-b', room.code, 'Ben').player).toBeDefined();
+    });
+});
+
+describe('spectateRoom', () => {
+    test('spectators watch a running game without taking a seat', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+
+        const { spectator } = spectateRoom('sock-c', room.code.toLowerCase(), 'Cy');
+        expect(spectator).toMatchObject({ socketId: 'sock-c', nickname: 'Cy' });
+        expect(spectator.id).not.toBe('sock-c');
+        expect(room.players.map((p) => p.nickname)).toEqual(['Ana', 'Ben']);
+        expect(room.game.players).toHaveLength(2);
+        expect(isSpectator(room, spectator.id)).toBe(true);
+        expect(isSpectator(room, room.players[0].id)).toBe(false);
+        expect(memberIdFor(room, 'sock-c')).toBe(spectator.id);
+    });
+
+    test('watching twice keeps the same spectator', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        const first = spectateRoom('sock-c', room.code, 'Cy').spectator;
+        expect(spectateRoom('sock-c', room.code, 'Cy').spectator).toBe(first);
+        expect(room.spectators).toHaveLength(1);
+    });
+
+    test('leaving covers the room a socket plays in and every room it watches', () => {
+        const seated = createRoom('sock-a', 'Ana').room;
+        joinRoom('sock-b', seated.code, 'Ben');
+        const watched = createRoom('sock-c', 'Cy').room;
+        spectateRoom('sock-b', watched.code, 'Ben');
+
+        const results = leaveRoom('sock-b');
+        expect(results).toEqual([
+            expect.objectContaining({ room: seated, systemMessage: expect.objectContaining({ text: 'Ben left.' }) }),
+            { room: watched, code: watched.code, spectator: true },
+        ]);
+        expect(seated.players.map((p) => p.nickname)).toEqual(['Ana']);
+        expect(watched.spectators).toEqual([]);
+    });
+
+    test('players cannot watch their own room, and the room must exist', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        expect(spectateRoom('sock-a', room.code, 'Ana').error).toBe('You are already playing in this room.');
+        expect(spectateRoom('sock-c', 'NOPE', 'Cy').error).toBe('Room not found.');
+        expect(room.spectators).toEqual([]);
+    });
+});
+
+describe('quitRoom', () => {
+    test('spectators and lobby players leave straight away', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        spectateRoom('sock-c', room.code, 'Cy');
+
+        expect(quitRoom(room.code, 'sock-c')).toEqual({ room, spectator: true });
+        expect(quitRoom(room.code, 'sock-a').systemMessage.text).toBe('Ana left.');
+        expect(room.hostId).toBe(room.players[0].id);
+        expect(quitRoom(room.code, 'sock-a').error).toBe('You are not in this room.');
+        expect(quitRoom(room.code, 'sock-b')).toEqual({ deleted: true });
+    });
+
+    test('mid-game the caller deals the player out', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+        expect(quitRoom(room.code, 'sock-b')).toMatchObject({ inGame: true, player: room.players[1] });
+    });
+});
+
+describe('host migration', () => {
+    function gameOfThree() {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        joinRoom('sock-c', room.code, 'Cy');
+        startGame(room.code, 'sock-a');
+        return room;
+    }
+
+    test('a host who drops mid-game hands over to the longest-connected player', () => {
+        jest.useFakeTimers();
+        const room = gameOfThree();
+        const [, ben, cy] = room.players;
+        ben.connectedAt = 2000;
+        cy.connectedAt = 1000;
+        leaveRoom('sock-a', null);
+        expect(room.hostId).toBe(cy.id);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('the host can hand the role over to a present human', () => {
+        const room = gameOfThree();
+        const [ana, ben] = room.players;
+        expect(transferHost(room.code, 'sock-b', ana.id).error).toMatch(/Only the host/);
+        expect(transferHost(room.code, 'sock-a', 'nobody').error).toBe('Player not found.');
+
+        const { systemMessage } = transferHost(room.code, 'sock-a', ben.id);
+        expect(room.hostId).toBe(ben.id);
+        expect(systemMessage.text).toBe('Ben is now the host.');
+    });
+});
+
+describe('team mode', () => {
+    function fourPlayerRoom() {
+        const { room } = createRoom('sock-a', 'Ana');
+        for (const name of ['Ben', 'Cy', 'Di']) joinRoom(`sock-${name}`, room.code, name);
+        room.rules.teamMode = true;
+        return room;
+    }
+
+    test('seats alternate between the teams the host picked', () => {
+        const room = fourPlayerRoom();
+        const [ana, ben, cy, di] = room.players;
+        expect(setTeam(room.code, 'sock-Ben', ana.id, 1).error).toMatch(/host/);
+        expect(setTeam(room.code, 'sock-a', ana.id, 9).error).toBe('Team must be between 1 and 4.');
+        for (const [player, team] of [[ana, 1], [ben, 1], [cy, 2], [di, 2]]) {
+            setTeam(room.code, 'sock-a', player.id, team);
+        }
+
+        startGame(room.code, 'sock-a');
+        expect(room.players.map((p) => p.nickname)).toEqual(['Ana', 'Cy', 'Ben', 'Di']);
+        expect(room.game.players.map((p) => p.team)).toEqual([1, 2, 1, 2]);
+    });
+
+    test('teams must be complete and even before the game starts', () => {
+        const room = fourPlayerRoom();
+        const [ana, ben, cy, di] = room.players;
+        setTeam(room.code, 'sock-a', ana.id, 1);
+        expect(startGame(room.code, 'sock-a').error).toBe('Everyone needs a team first.');
+        for (const player of [ben, cy]) setTeam(room.code, 'sock-a', player.id, 1);
+        setTeam(room.code, 'sock-a', di.id, 2);
+        expect(startGame(room.code, 'sock-a').error).toBe('Teams must be the same size.');
+        expect(room.phase).toBe('lobby');
+    });
+});
+
+describe('updateSettings', () => {
+    test('the host tunes the table within bounds; the game uses it', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        expect(updateSettings(room.code, 'sock-b', { handSize: 5 }).error).toMatch(/host/);
+        expect(updateSettings(room.code, 'sock-a', { turnTimeoutSec: 1 }).error)
+            .toBe('turnTimeoutSec must be between 5 and 120.');
+        expect(updateSettings(room.code, 'sock-a', { afkAction: 'kick' }).error)
+            .toBe('afkAction must be one of: autopilot, remove.');
+
+        updateSettings(room.code, 'sock-a', { handSize: 5, clashGraceSec: 2, bogus: 1 });
+        expect(room.settings).toMatchObject({ handSize: 5, clashGraceSec: 2, turnTimeoutSec: 25 });
+        expect(room.settings).not.toHaveProperty('bogus');
+
+        startGame(room.code, 'sock-a');
+        expect(room.players.map((p) => p.hand.length)).toEqual([5, 5]);
+        expect(room.game.clashGraceMs).toBe(2000);
+        expect(updateSettings(room.code, 'sock-a', { handSize: 7 }).error).toMatch(/locked/);
+    });
+
+    test('max players caps joins and cannot drop below the seats taken', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        joinRoom('sock-c', room.code, 'Cy');
+        expect(updateSettings(room.code, 'sock-a', { maxPlayers: 2 }).error)
+            .toBe('There are already 3 players in the room.');
+
+        updateSettings(room.code, 'sock-a', { maxPlayers: 3 });
+        expect(joinRoom('sock-d', room.code, 'Di').error).toBe('Room is full (max 3 players).');
+        expect(addBot(room.code, 'sock-a').error).toBe('Room is full (max 3 players).');
+    });
+});
+
+describe('big tables', () => {
+    function fullRoom(n) {
+        const { room } = createRoom('sock-0', 'P0');
+        updateSettings(room.code, 'sock-0', { maxPlayers: n });
+        for (let i = 1; i < n; i++) joinRoom(`sock-${i}`, room.code, `P${i}`);
+        return room;
+    }
+
+    test('seat up to 16 players, dealt from more decks', () => {
+        expect(updateSettings(createRoom('sock-x', 'X').room.code, 'sock-x', { maxPlayers: 17 }).error)
+            .toBe('maxPlayers must be between 2 and 16.');
+        const room = fullRoom(16);
+        expect(room.players).toHaveLength(16);
+        expect(startGame(room.code, 'sock-0').error).toBeUndefined();
+        expect(room.game.decks).toBe(3);
+        expect(room.game.drawPile).toHaveLength(3 * 108 - 16 * 7 - 1);
+    });
+
+    test('the host can pick the deck count, but not too few to deal', () => {
+        const room = fullRoom(8);
+        expect(updateSettings(room.code, 'sock-0', { decks: 5 }).error)
+            .toBe('decks must be one of: auto, 1, 2, 3, 4.');
+        updateSettings(room.code, 'sock-0', { decks: 1 });
+        expect(startGame(room.code, 'sock-0').error)
+            .toBe('Not enough cards for 8 hands of 7: add a deck or deal fewer cards.');
+
+        updateSettings(room.code, 'sock-0', { decks: 4 });
+        startGame(room.code, 'sock-0');
+        expect(room.game.decks).toBe(4);
+    });
+});
+
+describe('listPublicRooms', () => {
+    test('lists public lobbies only, newest first, a page at a time', () => {
+        const codes = ['Ana', 'Ben', 'Cy'].map((name, i) =>
+            createRoom(`sock-${i}`, name, { visibility: 'public' }).room.code);
+        createRoom('sock-p', 'Priv');
+        const { room: started } = createRoom('sock-s', 'Sam', { visibility: 'public' });
+        joinRoom('sock-t', started.code, 'Tia');
+        startGame(started.code, 'sock-s');
+
+        const first = listPublicRooms({ page: 1, pageSize: 2 });
+        expect(first.total).toBe(3);
+        expect(first.rooms.map((r) => r.code)).toEqual([codes[2], codes[1]]);
+        expect(first.rooms[0]).toMatchObject({ hostNickname: 'Cy', playerCount: 1, hasPassword: false });
+        expect(listPublicRooms({ page: 2, pageSize: 2 }).rooms.map((r) => r.code)).toEqual([codes[0]]);
+    });
+
+    test('summarises the house rules that are on', () => {
+        const { room } = createRoom('sock-a', 'Ana', { visibility: 'public' });
+        room.rules = { ...room.rules, stacking: true, pointsMode: true };
+        expect(listPublicRooms().rooms[0]).toMatchObject({
+            rules: ['stacking', 'drawFourChallenge', 'pointsMode'],
+            targetScore: 500,
+        });
+    });
+});
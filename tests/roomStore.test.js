@@ -0,0 +1,99 @@
+/**
+ * Color Clash – Room Persistence Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createNullStore, createMemoryStore, createFileStore } = require('../src/roomStore');
+const {
+    createRoom,
+    joinRoom,
+    startGame,
+    reconnectPlayer,
+    deleteRoom,
+    setRoomStore,
+    restoreRooms,
+    rooms,
+} = require('../src/roomManager');
+
+describe('createNullStore', () => {
+    test('keeps nothing', () => {
+        const store = createNullStore();
+        store.save({ code: 'ABCDEF', phase: 'game' });
+        expect(store.load()).toEqual([]);
+    });
+});
+
+describe('createFileStore', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'color-clash-rooms-'));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves, loads and removes snapshots', () => {
+        const store = createFileStore(dir);
+        store.save({ code: 'ABCDEF', phase: 'lobby' });
+        store.save({ code: 'ABCDEF', phase: 'game' });
+        expect(store.load()).toEqual([{ code: 'ABCDEF', phase: 'game' }]);
+        store.remove('ABCDEF');
+        expect(store.load()).toEqual([]);
+    });
+
+    test('skips unreadable snapshots', () => {
+        const store = createFileStore(dir);
+        fs.writeFileSync(path.join(dir, 'BROKEN.json'), '{"code":');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(store.load()).toEqual([]);
+        console.warn.mockRestore();
+    });
+});
+
+describe('restoreRooms', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        setRoomStore(createMemoryStore());
+    });
+    afterEach(() => {
+        for (const code of [...rooms.keys()]) deleteRoom(code);
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('brings a game back after a restart and lets players reconnect', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        startGame(room.code, 'sock-a');
+        const { token, hand } = room.players[1];
+
+        rooms.clear(); // the restart
+        const [restored] = restoreRooms(null);
+
+        expect(restored.code).toBe(room.code);
+        expect(restored.players).toBe(restored.game.players);
+        expect(restored.players.every((p) => !p.isConnected)).toBe(true);
+        expect(restored.game.drawPile).toEqual(room.game.drawPile);
+
+        const { room: back, player } = reconnectPlayer(room.code, token, 'sock-b2');
+        expect(back).toBe(restored);
+        expect(player).toBe(back.players[1]);
+        expect(player).toMatchObject({ socketId: 'sock-b2', isConnected: true, hand });
+    });
+
+    test('drops lobby players who never come back', () => {
+        const { room } = createRoom('sock-a', 'Ana');
+        joinRoom('sock-b', room.code, 'Ben');
+        const [host] = room.players;
+
+        rooms.clear();
+        restoreRooms(null);
+        reconnectPlayer(room.code, host.token, 'sock-a2');
+        jest.runOnlyPendingTimers();
+
+        expect(rooms.get(room.code).players.map((p) => p.id)).toEqual([host.id]);
+    });
+});
@@ -0,0 +1,247 @@
+/**
+ * Color Clash – Tournament Tests
+ */
+
+const {
+    createTournament, registerPlayer, reconnectTournament, startTournament, publicTournament,
+    tournaments, ROUND_BREAK_MS,
+} = require('../src/tournamentManager');
+const { getRoom, getRoomBySocket, deleteRoom, rooms } = require('../src/roomManager');
+const { playCard, removeFromGame, clearTurnTimer } = require('../src/gameActions');
+
+// Records every emit as [target, event, payload]
+function fakeIo() {
+    const emitted = [];
+    const io = {
+        emitted,
+        sockets: { sockets: new Map() },
+        to(target) {
+            return {
+                except() { return this; },
+                emit: (event, payload) => emitted.push([target, event, payload]),
+            };
+        },
+        connect(id) {
+            const socket = { id, join: jest.fn(), leave: jest.fn() };
+            io.sockets.sockets.set(id, socket);
+            return socket;
+        },
+        sent(target, event) {
+            return emitted.filter(([t, e]) => t === target && e === event).map(([, , p]) => p);
+        },
+    };
+    return io;
+}
+
+/** A tournament with one registered, connected player per name (socket ids s1, s2, …) */
+function setup(io, names, options) {
+    const { tournament } = createTournament({ name: 'Weekly', ...options });
+    const players = names.map((name, i) => {
+        io.connect(`s${i + 1}`);
+        return registerPlayer(tournament.id, `s${i + 1}`, name).player;
+    });
+    return { tournament, players };
+}
+
+/** End the game at `roomCode` with the seat at `winnerIndex` going out */
+function win(io, roomCode, winnerIndex) {
+    const room = getRoom(roomCode);
+    const game = room.game;
+    const winner = game.players[winnerIndex];
+    game.currentPlayerIndex = winnerIndex;
+    game.currentColor = 'red';
+    game.discardPile.push({ id: 900, color: 'red', type: 'number', value: 5 });
+    winner.hand = [{ id: 901, color: 'red', type: 'number', value: 1 }];
+    expect(playCard(io, room, winner.id, { cardId: 901, version: game.version }).ok).toBe(true);
+}
+
+/** The running table `player` sits at */
+const tableOf = (player) => getRoomBySocket(player.socketId);
+const nicknames = (room) => room.players.map((p) => p.nickname);
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => {
+    for (const code of [...rooms.keys()]) {
+        clearTurnTimer(code);
+        deleteRoom(code);
+    }
+    tournaments.clear();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('single elimination', () => {
+    test('table winners advance until the final decides the champion', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy', 'Dee'], { format: 'elimination', tableSize: 2 });
+        const [ana, ben, cy, dee] = players;
+
+        expect(startTournament(io, tournament.id, tournament.organizerToken)).toEqual({ tournament });
+        const first = tableOf(ana);
+        expect(first.phase).toBe('game');
+        expect(nicknames(first)).toEqual(['Ana', 'Cy']); // seeds are dealt across the tables
+        expect(nicknames(tableOf(ben))).toEqual(['Ben', 'Dee']);
+        const [seat] = io.sent('s1', 'tournament:table');
+        expect(seat).toMatchObject({ tournamentId: tournament.id, round: 1, roomCode: first.code });
+
+        win(io, first.code, 1); // Cy beats Ana
+        win(io, tableOf(ben).code, 0);
+        expect(ana.status).toBe('eliminated');
+        expect(dee.status).toBe('eliminated');
+        expect(tournament.nextRoundAt).not.toBeNull();
+
+        jest.advanceTimersByTime(ROUND_BREAK_MS);
+        const final = tableOf(cy);
+        expect(nicknames(final).sort()).toEqual(['Ben', 'Cy']);
+        expect(nicknames(getRoom(first.code))).toEqual(['Ana']); // Cy moved on from last round's room
+
+        win(io, final.code, final.players.findIndex((p) => p.nickname === 'Ben'));
+        expect(tournament.phase).toBe('finished');
+        expect(tournament.champion).toBe(ben.id);
+        const standings = publicTournament(tournament).standings.map((s) => s.nickname);
+        expect(standings.slice(0, 2)).toEqual(['Ben', 'Cy']);
+        expect(io.sent(`tournament:${tournament.id}`, 'tournament:ended')).toHaveLength(1);
+    });
+
+    test('top finishers of each table advance', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy', 'Dee', 'Eve', 'Fay'],
+            { format: 'elimination', tableSize: 3, advance: 2 });
+        startTournament(io, tournament.id, tournament.organizerToken);
+
+        for (const code of new Set(players.map((p) => tableOf(p).code))) win(io, code, 0);
+        expect(players.filter((p) => p.status === 'active')).toHaveLength(4);
+
+        jest.advanceTimersByTime(ROUND_BREAK_MS);
+        const finalists = players.filter((p) => p.status === 'active');
+        expect(new Set(finalists.map((p) => tableOf(p).code)).size).toBe(2); // 4 players, tables of 3
+    });
+});
+
+describe('swiss', () => {
+    test('plays the set number of rounds and ranks by points', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy'], { format: 'swiss', tableSize: 3, rounds: 2 });
+        const [ana, ben] = players;
+        startTournament(io, tournament.id, tournament.organizerToken);
+
+        win(io, tableOf(ana).code, 0);
+        expect(ana.points).toBe(2);
+        jest.advanceTimersByTime(ROUND_BREAK_MS);
+        const room = tableOf(ben);
+        win(io, room.code, room.players.findIndex((p) => p.id === tournament.rounds[1].tables[0].seats
+            .find((s) => s.playerId === ben.id).roomPlayerId));
+
+        expect(tournament.phase).toBe('finished');
+        const view = publicTournament(tournament);
+        expect(view.rounds).toHaveLength(2);
+        expect(view.standings[0]).toMatchObject({ nickname: 'Ana', games: 2 });
+        expect(tournament.champion).toBe(ana.id);
+    });
+});
+
+describe('forfeits', () => {
+    test('a player who is offline when the round is seated forfeits', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy'], { format: 'swiss', tableSize: 4 });
+        io.sockets.sockets.delete('s3');
+        startTournament(io, tournament.id, tournament.organizerToken);
+
+        expect(players[2].status).toBe('forfeited');
+        expect(tournament.rounds[0].forfeits).toEqual([players[2].id]);
+        expect(nicknames(tableOf(players[0]))).toEqual(['Ana', 'Ben']);
+    });
+
+    test('leaving a table game forfeits it', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy'], { format: 'swiss', tableSize: 3 });
+        startTournament(io, tournament.id, tournament.organizerToken);
+        const room = tableOf(players[0]);
+        expect(room.settings.afkAction).toBe('remove');
+
+        removeFromGame(io, room, room.players[1], 'left');
+        win(io, room.code, 0);
+
+        const [table] = tournament.rounds[0].tables;
+        expect(table.results.at(-1)).toMatchObject({ playerId: players[1].id, rank: 3, points: 0, forfeit: true });
+        expect(players[1].status).toBe('forfeited');
+    });
+
+    test('a reconnecting player gets their table session back', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben'], { format: 'swiss' });
+        startTournament(io, tournament.id, tournament.organizerToken);
+        const room = tableOf(players[1]);
+
+        const { table } = reconnectTournament(tournament.id, players[1].token, 's9');
+        expect(players[1].socketId).toBe('s9');
+        expect(table).toEqual({ roomCode: room.code, playerId: room.players[1].id, token: room.players[1].token });
+    });
+});
+
+describe('seating', () => {
+    beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+    afterEach(() => console.warn.mockRestore());
+
+    test('a connection can only reconnect to one entry', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben'], {});
+        expect(reconnectTournament(tournament.id, players[1].token, 's1').error).toMatch(/another entry/);
+        expect(players[1].socketId).toBe('s2');
+    });
+
+    test('an entry whose join fails forfeits and the table still starts', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy'], { format: 'swiss', tableSize: 4 });
+        const [ana, ben, cy] = players;
+        ben.socketId = 's1'; // shares Ana's connection, so can't get a seat of its own
+
+        expect(startTournament(io, tournament.id, tournament.organizerToken)).toEqual({ tournament });
+        expect(ben.status).toBe('forfeited');
+        expect(tournament.rounds[0].forfeits).toEqual([ben.id]);
+        const room = tableOf(ana);
+        expect(room.phase).toBe('game');
+        expect(nicknames(room)).toEqual(['Ana', 'Cy']);
+        const [table] = tournament.rounds[0].tables;
+        expect(table.seats).toEqual([
+            { playerId: ana.id, roomPlayerId: room.players[0].id },
+            { playerId: cy.id, roomPlayerId: room.players[1].id },
+        ]);
+    });
+
+    test('an entry already playing at another table this round forfeits', () => {
+        const io = fakeIo();
+        const { tournament, players } = setup(io, ['Ana', 'Ben', 'Cy', 'Dee'], { format: 'elimination', tableSize: 2 });
+        const [ana, ben, cy] = players;
+        ben.socketId = 's1'; // Ana's table opens first
+
+        startTournament(io, tournament.id, tournament.organizerToken);
+        expect(ben.status).toBe('forfeited');
+        expect(nicknames(tableOf(ana))).toEqual(['Ana', 'Cy']);
+        expect(cy.status).toBe('active');
+        // Dee is left alone at Ben's table and gets a bye
+        expect(tournament.rounds[0].tables[1].results).toEqual([
+            { playerId: players[3].id, rank: 1, points: 1, bye: true },
+        ]);
+    });
+});
+
+describe('organizing', () => {
+    test('only the organizer can start, once, with at least 2 players', () => {
+        const io = fakeIo();
+        const { tournament } = setup(io, ['Ana'], {});
+        expect(startTournament(io, tournament.id, 'nope').error).toMatch(/organizer/);
+        expect(startTournament(io, tournament.id, tournament.organizerToken).error).toMatch(/at least 2/);
+
+        io.connect('s2');
+        registerPlayer(tournament.id, 's2', 'Ben');
+        startTournament(io, tournament.id, tournament.organizerToken);
+        expect(registerPlayer(tournament.id, 's3', 'Cy').error).toBe('Registration is closed.');
+        expect(startTournament(io, tournament.id, tournament.organizerToken).error).toMatch(/already started/);
+    });
+
+    test('rejects an advance that would never shrink a table', () => {
+        expect(createTournament({ format: 'elimination', tableSize: 2, advance: 2 }).error)
+            .toBe('advance must be less than tableSize.');
+    });
+});